@@ -4,6 +4,7 @@
    ============================================ */
 
 import { initStorage } from './storage.js';
+import { initPWA } from './pwa.js';
 
 /**
  * Initialize the application
@@ -18,9 +19,43 @@ export function initApp() {
     // Set up event listeners
     setupGlobalListeners();
     
+    // Pages carry their own styles, so message toasts bring theirs
+    addMessageStyles();
+    
+    // Cache the app for offline use and watch for new versions
+    initPWA();
+    
     return data;
 }
 
+/**
+ * Add styles for success/error/info messages
+ */
+function addMessageStyles() {
+    if (document.getElementById('app-messages')) return;
+    
+    const style = document.createElement('style');
+    style.id = 'app-messages';
+    style.textContent = `
+        .success-message, .error-message, .info-message {
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            z-index: 10000;
+            padding: 12px 20px;
+            border-radius: 8px;
+            color: white;
+            font-weight: 600;
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+            max-width: 320px;
+        }
+        .success-message { background: #10b981; }
+        .error-message { background: #ef4444; }
+        .info-message { background: #2563eb; }
+    `;
+    document.head.appendChild(style);
+}
+
 /**
  * Update active navigation tab
  */
@@ -51,9 +86,11 @@ export function getCurrentPage() {
         'meals': 'meals',
         'planner': 'planner',
         'shopping': 'shopping',
+        'pantry': 'pantry',
         'cleaning': 'cleaning',
         'maintenance': 'maintenance',
-        'settings': 'settings'
+        'settings': 'settings',
+        'welcome': 'welcome'
     };
     
     return pageMap[page] || 'dashboard';
@@ -68,9 +105,11 @@ export function navigateToPage(page) {
         'meals': 'pages/meals.html',
         'planner': 'pages/planner.html',
         'shopping': 'pages/shopping.html',
+        'pantry': 'pages/pantry.html',
         'cleaning': 'pages/cleaning.html',
         'maintenance': 'pages/maintenance.html',
-        'settings': 'pages/settings.html'
+        'settings': 'pages/settings.html',
+        'welcome': 'pages/welcome.html'
     };
     
     const url = pageMap[page];
@@ -125,22 +164,58 @@ export function formatDate(dateString) {
  */
 export function formatDateForInput(dateString) {
     if (!dateString) return '';
-    const date = new Date(dateString);
-    return date.toISOString().split('T')[0];
+    return toISODate(parseISODate(dateString));
+}
+
+/**
+ * Convert a Date to a local YYYY-MM-DD string
+ */
+export function toISODate(date) {
+    const yyyy = date.getFullYear();
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const dd = String(date.getDate()).padStart(2, '0');
+    return `${yyyy}-${mm}-${dd}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a local date (new Date() would treat it as UTC)
+ */
+export function parseISODate(dateString) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString);
+    if (!match) return new Date(dateString);
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * Add (or subtract) days from an ISO date
+ */
+export function addDays(dateString, days) {
+    const date = parseISODate(dateString);
+    date.setDate(date.getDate() + days);
+    return toISODate(date);
+}
+
+/**
+ * Get the Monday that starts the week containing a date
+ */
+export function getWeekStart(dateString) {
+    const date = dateString ? parseISODate(dateString) : new Date();
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return toISODate(date);
 }
 
 /**
  * Get today's date as ISO string
  */
 export function getTodayISO() {
-    return new Date().toISOString().split('T')[0];
+    return toISODate(new Date());
 }
 
 /**
  * Get day of week from date
  */
 export function getDayOfWeek(dateString) {
-    const date = dateString ? new Date(dateString) : new Date();
+    const date = dateString ? parseISODate(dateString) : new Date();
     return date.toLocaleDateString('en-US', { weekday: 'long' });
 }
 
@@ -301,22 +376,10 @@ export function getRelativeTime(dateString) {
 }
 
 /**
- * Format price in GBP
+ * Prices follow the currency and number format chosen in settings;
+ * see locale.js
  */
-export function formatPrice(amount) {
-    return new Intl.NumberFormat('en-GB', {
-        style: 'currency',
-        currency: 'GBP'
-    }).format(amount);
-}
-
-/**
- * Parse price from string
- */
-export function parsePrice(priceString) {
-    const cleaned = priceString.replace(/[^0-9.]/g, '');
-    return parseFloat(cleaned) || 0;
-}
+export { formatPrice, parsePrice } from './locale.js';
 
 /**
  * Initialize app when DOM is ready
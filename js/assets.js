@@ -0,0 +1,155 @@
+/* assets.js - Home Asset Register (warranties & service records) */
+import { getData, updateData } from './storage.js';
+import { generateId, showSuccess, getTodayISO, parseISODate } from './app.js';
+import { getMaintenanceTasks, updateTask } from './tasks.js';
+import { WARRANTY_WARNING_DAYS } from './reminders.js';
+import { WEB_ADDRESS } from './schema.js';
+
+export const ASSET_CATEGORIES = ['Appliance', 'Heating', 'Safety', 'Vehicle', 'Electronics', 'Garden', 'Other'];
+
+export { WARRANTY_WARNING_DAYS };
+
+export function getAssets() {
+    return getData('assets') || [];
+}
+
+export function getAsset(assetId) {
+    return getAssets().find(a => a.id === assetId) || null;
+}
+
+/**
+ * A link to an asset's manual that's safe to follow: a web page, never a
+ * javascript: or other URL that would run something when clicked
+ * @returns {string} The link, or '' if there isn't one
+ */
+export function manualLink(url) {
+    const link = String(url || '').trim();
+    return new RegExp(WEB_ADDRESS).test(link) ? link : '';
+}
+
+export function addAsset(assetData) {
+    const assets = getAssets();
+    const asset = {
+        id: generateId(),
+        name: assetData.name.trim(),
+        category: ASSET_CATEGORIES.includes(assetData.category) ? assetData.category : 'Other',
+        make: (assetData.make || '').trim(),
+        model: (assetData.model || '').trim(),
+        location: (assetData.location || '').trim(),
+        purchaseDate: assetData.purchaseDate || null,
+        warrantyExpiry: assetData.warrantyExpiry || null,
+        manualUrl: manualLink(assetData.manualUrl),
+        notes: (assetData.notes || '').trim(),
+        serviceLog: [],
+        createdDate: new Date().toISOString()
+    };
+    assets.push(asset);
+    updateData('assets', assets);
+    showSuccess(`${asset.name} added to your assets`);
+    return asset;
+}
+
+export function updateAsset(assetId, updates) {
+    const assets = getAssets();
+    const asset = assets.find(a => a.id === assetId);
+    if (asset) {
+        Object.assign(asset, updates);
+        if ('manualUrl' in updates) asset.manualUrl = manualLink(updates.manualUrl);
+        updateData('assets', assets);
+        return asset;
+    }
+    return null;
+}
+
+/**
+ * Remove an asset. Maintenance tasks that looked after it are kept but
+ * no longer linked to anything.
+ */
+export function deleteAsset(assetId) {
+    updateData('assets', getAssets().filter(a => a.id !== assetId));
+    getLinkedTasks(assetId).forEach(task => updateTask(task.id, { assetId: null }, 'maintenance'));
+    showSuccess('Asset removed');
+}
+
+/**
+ * Maintenance tasks that look after an asset
+ */
+export function getLinkedTasks(assetId) {
+    return getMaintenanceTasks().filter(t => t.assetId === assetId);
+}
+
+export function linkTask(taskId, assetId) {
+    return updateTask(taskId, { assetId: assetId || null }, 'maintenance');
+}
+
+/**
+ * Record a job done on an asset
+ * @param {string} assetId
+ * @param {Object} entry - { date, description, cost, contractor, note, taskId }
+ * @returns {Object|null} The service log entry
+ */
+export function logService(assetId, entry) {
+    const assets = getAssets();
+    const asset = assets.find(a => a.id === assetId);
+    if (!asset) return null;
+    const record = {
+        id: generateId(),
+        date: entry.date || getTodayISO(),
+        description: (entry.description || '').trim(),
+        cost: entry.cost === null || entry.cost === undefined || entry.cost === '' ? null : Number(entry.cost),
+        contractor: (entry.contractor || '').trim(),
+        note: (entry.note || '').trim(),
+        taskId: entry.taskId || null
+    };
+    asset.serviceLog = [...(asset.serviceLog || []), record];
+    updateData('assets', assets);
+    return record;
+}
+
+export function updateServiceEntry(assetId, entryId, updates) {
+    const assets = getAssets();
+    const asset = assets.find(a => a.id === assetId);
+    const record = asset && (asset.serviceLog || []).find(e => e.id === entryId);
+    if (!record) return null;
+    Object.assign(record, updates);
+    updateData('assets', assets);
+    return record;
+}
+
+export function deleteServiceEntry(assetId, entryId) {
+    const asset = getAsset(assetId);
+    if (!asset) return;
+    updateAsset(assetId, { serviceLog: (asset.serviceLog || []).filter(e => e.id !== entryId) });
+}
+
+/**
+ * Service log, newest first
+ */
+export function getServiceLog(assetId) {
+    const asset = getAsset(assetId);
+    return asset ? [...(asset.serviceLog || [])].sort((a, b) => b.date.localeCompare(a.date)) : [];
+}
+
+export function getServiceCost(assetId) {
+    return getServiceLog(assetId).reduce((sum, e) => sum + (e.cost || 0), 0);
+}
+
+/**
+ * Days until an asset's warranty runs out: negative once it has, null if
+ * there's no warranty recorded
+ */
+export function warrantyDaysLeft(asset) {
+    if (!asset.warrantyExpiry) return null;
+    return Math.round((parseISODate(asset.warrantyExpiry) - parseISODate(getTodayISO())) / 86400000);
+}
+
+/**
+ * Assets whose warranty ends within the next few days, soonest first
+ * @returns {Object[]} Assets with daysLeft
+ */
+export function getWarrantiesEndingSoon(days = WARRANTY_WARNING_DAYS) {
+    return getAssets()
+        .map(asset => ({ ...asset, daysLeft: warrantyDaysLeft(asset) }))
+        .filter(asset => asset.daysLeft !== null && asset.daysLeft >= 0 && asset.daysLeft <= days)
+        .sort((a, b) => a.daysLeft - b.daysLeft);
+}
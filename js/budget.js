@@ -0,0 +1,95 @@
+/* budget.js - Spending and the Weekly Budget */
+import { getData } from './storage.js';
+import { getWeekStart, addDays, parseISODate, toISODate } from './app.js';
+import { getShoppingList, getShoppingTrips } from './shopping.js';
+import { getLocale } from './locale.js';
+
+// Share of the budget at which the gauge starts warning
+const WARNING_LEVEL = 0.8;
+
+export function getWeeklyBudget() {
+    const settings = getData('settings') || {};
+    return Number(settings.weeklyBudget) || null;
+}
+
+/**
+ * Total spent on trips between two ISO dates (inclusive)
+ */
+export function getSpendBetween(from, to) {
+    return sumTrips(getShoppingTrips().filter(trip => trip.date >= from && trip.date <= to));
+}
+
+/**
+ * Spend per week, oldest first, ending with the current week
+ * @returns {Object[]} [{ start, end, total, trips }]
+ */
+export function getWeeklySpend(weeks = 8) {
+    const trips = getShoppingTrips();
+    const thisWeek = getWeekStart();
+    return Array.from({ length: weeks }, (_, i) => {
+        const start = addDays(thisWeek, (i - weeks + 1) * 7);
+        const end = addDays(start, 6);
+        const inWeek = trips.filter(trip => trip.date >= start && trip.date <= end);
+        return { start, end, total: sumTrips(inWeek), trips: inWeek.length };
+    });
+}
+
+/**
+ * Spend per calendar month, oldest first, ending with the current month
+ * @returns {Object[]} [{ start, end, total, trips }]
+ */
+export function getMonthlySpend(months = 6) {
+    const trips = getShoppingTrips();
+    const now = new Date();
+    return Array.from({ length: months }, (_, i) => {
+        const first = new Date(now.getFullYear(), now.getMonth() - months + 1 + i, 1);
+        const last = new Date(first.getFullYear(), first.getMonth() + 1, 0);
+        const start = toISODate(first);
+        const end = toISODate(last);
+        const inMonth = trips.filter(trip => trip.date >= start && trip.date <= end);
+        return { start, end, total: sumTrips(inMonth), trips: inMonth.length };
+    });
+}
+
+/**
+ * Where the week stands against the budget. The shopping list still to
+ * buy counts towards the projection so the warning comes before the
+ * money is spent, not after.
+ * @returns {Object} { budget, spent, onList, projected, remaining, percent, level }
+ *   where level is 'none' (no budget set), 'ok', 'warning' or 'over'
+ */
+export function getBudgetStatus(weekStart = getWeekStart()) {
+    const budget = getWeeklyBudget();
+    const spent = getSpendBetween(weekStart, addDays(weekStart, 6));
+    const onList = getShoppingList().reduce((sum, item) => sum + (item.price || 0), 0);
+    const projected = spent + onList;
+
+    let level = 'none';
+    if (budget) {
+        if (spent > budget) level = 'over';
+        else if (projected > budget || spent >= budget * WARNING_LEVEL) level = 'warning';
+        else level = 'ok';
+    }
+
+    return {
+        budget,
+        spent,
+        onList,
+        projected,
+        remaining: budget ? budget - spent : null,
+        percent: budget ? Math.min(100, Math.round((spent / budget) * 100)) : 0,
+        level
+    };
+}
+
+/**
+ * Short label for a month in the spend history in the chosen locale,
+ * e.g. "Oct 2024" or "Okt. 2024"
+ */
+export function formatMonth(isoDate, { locale = getLocale() } = {}) {
+    return parseISODate(isoDate).toLocaleDateString(locale, { month: 'short', year: 'numeric' });
+}
+
+function sumTrips(trips) {
+    return Math.round(trips.reduce((sum, trip) => sum + (trip.total || 0), 0) * 100) / 100;
+}
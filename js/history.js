@@ -0,0 +1,148 @@
+/* history.js - Task Completion History & Stats */
+import { getData, updateData } from './storage.js';
+import { generateId, getTodayISO, addDays, parseISODate } from './app.js';
+import { getOccurrences } from './recurrence.js';
+
+export function getHistory(type) {
+    const history = getData('taskHistory') || [];
+    return type ? history.filter(entry => entry.taskType === type) : history;
+}
+
+export function getTaskHistory(taskId) {
+    return getHistory()
+        .filter(entry => entry.taskId === taskId)
+        .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseISODate(to) - parseISODate(from)) / 86400000);
+}
+
+/**
+ * Record that a task was done. The task is logged as it stood before
+ * its due date moved on.
+ * @param {Object} task - The task as it was when completed
+ * @param {string} type - 'cleaning' or 'maintenance'
+ * @param {Object} details - { by, byId, note, completedOn, rule }; by is
+ *   the name of whoever did it and byId their member id. rule lets
+ *   occurrences skipped while the task was overdue be counted as missed
+ * @returns {Object} The history entry
+ */
+export function logCompletion(task, type, { by = null, byId = null, note = '', completedOn = getTodayISO(), rule = null } = {}) {
+    const dueDate = task.dueDate || completedOn;
+    const missed = rule && dueDate < completedOn
+        ? getOccurrences(rule, dueDate, addDays(dueDate, 1), addDays(completedOn, -1)).length
+        : 0;
+    const entry = {
+        id: generateId(),
+        taskId: task.id,
+        taskType: type,
+        taskName: task.name,
+        room: task.room || '',
+        dueDate,
+        completedOn,
+        completedAt: new Date().toISOString(),
+        daysLate: Math.max(0, daysBetween(dueDate, completedOn)),
+        missed,
+        by,
+        byId,
+        note: note.trim()
+    };
+    const history = getHistory();
+    history.push(entry);
+    updateData('taskHistory', history);
+    return entry;
+}
+
+/**
+ * Take back a task's most recent completion, e.g. when a one-off task is
+ * unticked
+ */
+export function removeLastCompletion(taskId) {
+    const [latest] = getTaskHistory(taskId);
+    if (!latest) return null;
+    updateData('taskHistory', getHistory().filter(entry => entry.id !== latest.id));
+    return latest;
+}
+
+export function updateCompletionNote(entryId, note) {
+    const history = getHistory();
+    const entry = history.find(e => e.id === entryId);
+    if (entry) {
+        entry.note = note.trim();
+        updateData('taskHistory', history);
+    }
+    return entry || null;
+}
+
+/**
+ * Roll completions up into on-time rates
+ */
+function summarise(entries, overdue = 0) {
+    const done = entries.length;
+    const onTime = entries.filter(e => e.daysLate === 0).length;
+    const missed = entries.reduce((sum, e) => sum + (e.missed || 0), 0) + overdue;
+    const due = done + missed;
+    return {
+        done,
+        onTime,
+        missed,
+        rate: due ? Math.round((onTime / due) * 100) : null,
+        averageLateness: done ? Math.round((entries.reduce((sum, e) => sum + e.daysLate, 0) / done) * 10) / 10 : 0
+    };
+}
+
+/**
+ * Completions on time in a row, most recent first; a late or missed one
+ * ends the streak
+ */
+function streakOf(entries, overdue = 0) {
+    if (overdue > 0) return 0;
+    let streak = 0;
+    for (const entry of [...entries].sort((a, b) => b.completedAt.localeCompare(a.completedAt))) {
+        if (entry.daysLate > 0 || entry.missed > 0) break;
+        streak++;
+    }
+    return streak;
+}
+
+/**
+ * How reliably chores get done
+ * @param {Object[]} tasks - Current tasks of the type, with their rules
+ * @param {string} type - 'cleaning' or 'maintenance'
+ * @param {Object} options - { since: ISO date to count from, getRule(task) }
+ * @returns {Object} { overall, streak, rooms: [...], tasks: [...] }; tasks are
+ *   sorted so the ones slipping most come first
+ */
+export function getTaskStats(tasks, type, { since = null, getRule = () => null } = {}) {
+    const today = getTodayISO();
+    const entries = getHistory(type).filter(e => !since || e.completedOn >= since);
+
+    // Occurrences gone by since a task fell due that haven't been done yet
+    const overdueFor = task => {
+        if (task.completed || !task.dueDate || task.dueDate >= today) return 0;
+        const from = since && since > task.dueDate ? since : task.dueDate;
+        return getOccurrences(getRule(task), task.dueDate, from, addDays(today, -1)).length;
+    };
+
+    const taskStats = tasks.map(task => {
+        const own = entries.filter(e => e.taskId === task.id);
+        const overdue = overdueFor(task);
+        return { task, ...summarise(own, overdue), overdue, streak: streakOf(own, overdue) };
+    });
+
+    const rooms = [...new Set([...tasks.map(t => t.room || ''), ...entries.map(e => e.room)])]
+        .map(room => {
+            const overdue = taskStats.filter(s => (s.task.room || '') === room).reduce((sum, s) => sum + s.overdue, 0);
+            return { room, ...summarise(entries.filter(e => e.room === room), overdue) };
+        })
+        .sort((a, b) => (a.rate ?? 101) - (b.rate ?? 101));
+
+    const totalOverdue = taskStats.reduce((sum, s) => sum + s.overdue, 0);
+    return {
+        overall: summarise(entries, totalOverdue),
+        streak: streakOf(entries, totalOverdue),
+        rooms,
+        tasks: taskStats.sort((a, b) => (a.rate ?? 101) - (b.rate ?? 101) || b.averageLateness - a.averageLateness)
+    };
+}
@@ -0,0 +1,558 @@
+/* ============================================
+   ICAL.JS - Calendar (.ics) Export & Import
+   Chores, maintenance and the meal plan out to
+   other calendar apps, and bin days and
+   appointments in from them
+   ============================================ */
+
+import { getTodayISO, getWeekStart, addDays, parseISODate } from './app.js';
+import { getCleaningTasks, getMaintenanceTasks, getTaskRule, addTasks } from './tasks.js';
+import { getMeals } from './meals.js';
+import { getMealPlan, MEAL_SLOTS } from './planner.js';
+import { getMember, getAssignee, describeAssignment } from './members.js';
+import { normaliseRule, getOccurrences, describeRule, WEEKDAY_NAMES } from './recurrence.js';
+
+export const CALENDAR_CATEGORIES = {
+    cleaning: 'Cleaning',
+    maintenance: 'Maintenance',
+    meals: 'Meals'
+};
+
+// Events need a time; these are when each meal goes in the calendar
+const MEAL_TIMES = { Breakfast: '08:00', Lunch: '12:30', Dinner: '18:30', Snack: '15:30' };
+// and when chores set for a part of the day go in
+const TASK_TIMES = { Morning: '09:00', Afternoon: '14:00', Evening: '18:00' };
+// Imported events at a clock time go in the part of the day it falls in
+const DAY_PARTS = [['Morning', '12:00'], ['Afternoon', '17:00'], ['Evening', '24:00']];
+const MEAL_MINUTES = 45;
+const TASK_MINUTES = 30;
+
+// How far ahead chores are spelled out one by one when they can't be a
+// single repeating event (turns and fair shares change hands each time)
+const EXPAND_WEEKS = 12;
+
+const UID_DOMAIN = 'home-management-hub';
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// How far ahead an imported repeating event is searched for its next date
+const IMPORT_HORIZON_DAYS = 800;
+
+// Calendars that sound like bin collections go to cleaning by default
+const CLEANING_CALENDAR = /\b(bins?|waste|refuse|recycl\w*|rubbish|garbage|collections?)\b/i;
+
+/* ============================================
+   iCalendar text
+   ============================================ */
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Lines longer than 75 bytes are folded onto continuation lines that
+ * start with a space, without splitting a character
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        const limit = parts.length ? 74 : 75;
+        if (bytes + size > limit) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatICSDate(isoDate) {
+    return isoDate.replace(/-/g, '');
+}
+
+// Local "floating" date-time, so events stay at the same clock time
+function formatICSDateTime(isoDate, time) {
+    return `${formatICSDate(isoDate)}T${time.replace(':', '')}00`;
+}
+
+function addMinutes(isoDate, time, minutes) {
+    const [hh, mm] = time.split(':').map(Number);
+    const date = parseISODate(isoDate);
+    date.setHours(hh, mm + minutes);
+    const end = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    return formatICSDateTime(addDays(isoDate, Math.floor((hh * 60 + mm + minutes) / 1440)), end);
+}
+
+// Day numbers 28 up to the one asked for, taking the last that exists,
+// so the 31st falls back to the 30th or 28th the way the app does
+function monthDayParts(monthDay) {
+    if (monthDay <= 28) return [`BYMONTHDAY=${monthDay}`];
+    const days = Array.from({ length: monthDay - 27 }, (_, i) => 28 + i);
+    return [`BYMONTHDAY=${days.join(',')}`, 'BYSETPOS=-1'];
+}
+
+/**
+ * An RRULE value for a recurrence rule
+ * @param {Object|null} rule
+ * @param {string} dueDate - The first occurrence, for rules that follow its date
+ * @returns {string|null} e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;WKST=MO"
+ */
+export function toRRule(rule, dueDate) {
+    rule = normaliseRule(rule);
+    if (!rule) return null;
+    const parts = [`FREQ=${{ day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' }[rule.unit]}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    const due = parseISODate(dueDate);
+
+    if (rule.unit === 'week') {
+        if (rule.weekdays) parts.push(`BYDAY=${rule.weekdays.map(d => BYDAY[d]).join(',')}`);
+        // Weeks run Monday to Sunday, which matters for "every 2 weeks on ..."
+        parts.push('WKST=MO');
+    } else if (rule.unit === 'month' && rule.nthWeekday) {
+        // A 5th weekday that doesn't exist falls back to the last, and one
+        // that does exist is the last, so 5th and last are the same thing
+        const nth = rule.nthWeekday.nth === 5 ? -1 : rule.nthWeekday.nth;
+        parts.push(`BYDAY=${nth}${BYDAY[rule.nthWeekday.weekday]}`);
+    } else if (rule.unit === 'month') {
+        parts.push(...monthDayParts(rule.monthDay || due.getDate()));
+    } else if (rule.unit === 'year') {
+        parts.push(`BYMONTH=${due.getMonth() + 1}`, ...monthDayParts(rule.monthDay || due.getDate()));
+    }
+    return parts.join(';');
+}
+
+/**
+ * Write events out as an iCalendar file
+ * @param {Object[]} events - { uid, summary, date, time?, minutes?, rrule?, exdates?, description?, category }
+ * @returns {string} The .ics text
+ */
+export function buildCalendar(events, name = 'Home Management Hub') {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Home Management Hub//Calendar Export//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    events.forEach(event => {
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+        if (event.time) {
+            lines.push(
+                `DTSTART:${formatICSDateTime(event.date, event.time)}`,
+                `DTEND:${addMinutes(event.date, event.time, event.minutes || TASK_MINUTES)}`
+            );
+        } else {
+            lines.push(
+                `DTSTART;VALUE=DATE:${formatICSDate(event.date)}`,
+                `DTEND;VALUE=DATE:${formatICSDate(addDays(event.date, 1))}`
+            );
+        }
+        if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+        if (event.exdates && event.exdates.length) {
+            lines.push(event.time
+                ? `EXDATE:${event.exdates.map(date => formatICSDateTime(date, event.time)).join(',')}`
+                : `EXDATE;VALUE=DATE:${event.exdates.map(formatICSDate).join(',')}`);
+        }
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/* ============================================
+   Events from the app's data
+   ============================================ */
+
+/**
+ * A task's time as a clock time: the cleaning page's parts of the day
+ * stand for set times, and anything else unreadable makes it all-day
+ * @returns {string|null} "HH:MM"
+ */
+function taskClockTime(task) {
+    const time = TASK_TIMES[task.time] || task.time;
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '') ? time : null;
+}
+
+function taskDescription(task, rule, who) {
+    return [
+        task.room && `Room: ${task.room}`,
+        rule && `Repeats: ${describeRule(rule)}`,
+        who && `Who: ${who}`,
+        task.notes
+    ].filter(Boolean).join('\n');
+}
+
+function isSharedOut(task) {
+    return task.assignment && (task.assignment.mode === 'rotation' || task.assignment.mode === 'fair');
+}
+
+/**
+ * Events for one kind of task. A repeating task is one event with an
+ * RRULE, unless it's for one member and the task changes hands each
+ * time; then just their turns over the next few weeks are listed.
+ */
+function taskEvents(tasks, type, memberId) {
+    const category = CALENDAR_CATEGORIES[type];
+    const from = getTodayISO();
+    const to = addDays(getWeekStart(from), EXPAND_WEEKS * 7 - 1);
+
+    return tasks.filter(task => task.dueDate && !task.completed).flatMap(task => {
+        const rule = getTaskRule(task);
+        const base = { summary: task.name, time: taskClockTime(task), category };
+
+        if (memberId && isSharedOut(task)) {
+            return getOccurrences(rule, task.dueDate, from, to)
+                .filter(date => (getAssignee(task, date) || {}).id === memberId)
+                .map(date => ({
+                    ...base,
+                    uid: `${task.id}-${date}@${UID_DOMAIN}`,
+                    date,
+                    description: taskDescription(task, null, getMember(memberId).name)
+                }));
+        }
+        if (memberId && (getAssignee(task) || {}).id !== memberId) return [];
+
+        return [{
+            ...base,
+            uid: `${task.id}@${UID_DOMAIN}`,
+            date: task.dueDate,
+            rrule: toRRule(rule, task.dueDate),
+            exdates: rule && rule.skipDates ? rule.skipDates.filter(date => date > task.dueDate) : [],
+            description: taskDescription(task, rule, describeAssignment(task))
+        }];
+    });
+}
+
+/**
+ * Planned meals from the start of this week on
+ */
+function mealEvents() {
+    const titles = Object.fromEntries(getMeals().map(meal => [meal.id, meal.title]));
+    const from = getWeekStart();
+    return Object.entries(getMealPlan())
+        .filter(([date]) => date >= from)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .flatMap(([date, slots]) => MEAL_SLOTS
+            .filter(slot => slots[slot] && titles[slots[slot].mealId])
+            .map(slot => ({
+                uid: `meal-${date}-${slot.toLowerCase()}@${UID_DOMAIN}`,
+                summary: `${slot}: ${titles[slots[slot].mealId]}`,
+                date,
+                time: MEAL_TIMES[slot],
+                minutes: MEAL_MINUTES,
+                description: slots[slot].servings ? `Serves ${slots[slot].servings}` : '',
+                category: CALENDAR_CATEGORIES.meals
+            })));
+}
+
+/**
+ * Events for a calendar export
+ * @param {Object} options - { categories: ['cleaning', 'maintenance', 'meals'], memberId }
+ *   memberId limits chores to that member's; meals are for everyone
+ * @returns {Object[]} Events for buildCalendar
+ */
+export function getCalendarEvents({ categories = Object.keys(CALENDAR_CATEGORIES), memberId = null } = {}) {
+    const events = [];
+    if (categories.includes('cleaning')) events.push(...taskEvents(getCleaningTasks(), 'cleaning', memberId));
+    if (categories.includes('maintenance')) events.push(...taskEvents(getMaintenanceTasks(), 'maintenance', memberId));
+    if (categories.includes('meals')) events.push(...mealEvents());
+    return events;
+}
+
+/**
+ * Download an .ics file of chores, maintenance and meals
+ * @param {Object} options - As for getCalendarEvents
+ * @returns {number} How many events went in, 0 if there was nothing to export
+ */
+export function exportCalendar(options = {}) {
+    const events = getCalendarEvents(options);
+    if (events.length === 0) return 0;
+
+    const member = options.memberId ? getMember(options.memberId) : null;
+    const name = member ? `Home Management Hub - ${member.name}` : 'Home Management Hub';
+    const blob = new Blob([buildCalendar(events, name)], { type: 'text/calendar' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `home-hub${member ? `-${member.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : ''}-${getTodayISO()}.ics`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+    return events.length;
+}
+
+/* ============================================
+   Import
+   ============================================ */
+
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a content line into name, parameters and value. The value starts
+ * at the first colon that isn't inside a quoted parameter.
+ */
+function parseLine(line) {
+    let quoted = false;
+    let split = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ':' && !quoted) { split = i; break; }
+    }
+    if (split === -1) return null;
+    const [name, ...params] = line.slice(0, split).split(';');
+    return {
+        name: name.toUpperCase(),
+        params: Object.fromEntries(params.map(param => {
+            const [key, value = ''] = param.split('=');
+            return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+        })),
+        value: line.slice(split + 1)
+    };
+}
+
+/**
+ * A DATE or DATE-TIME value as a local date and time. UTC times are moved
+ * to local time; times with a TZID are taken as the clock time given.
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' or null for all-day }
+ */
+function parseICSDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+    const [, yyyy, mm, dd, hh, min, , utc] = match;
+    if (!hh) return { date: `${yyyy}-${mm}-${dd}`, time: null };
+    if (utc) {
+        const local = new Date(Date.UTC(+yyyy, mm - 1, +dd, +hh, +min));
+        return {
+            date: `${local.getFullYear()}-${String(local.getMonth() + 1).padStart(2, '0')}-${String(local.getDate()).padStart(2, '0')}`,
+            time: `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`
+        };
+    }
+    return { date: `${yyyy}-${mm}-${dd}`, time: `${hh}:${min}` };
+}
+
+/**
+ * Read the VEVENTs out of an .ics file. Alarms and other nested
+ * components are ignored.
+ * @param {string} text
+ * @returns {Object} { name, events: [{ uid, summary, description, location, start, rrule, exdates, status, recurrenceId }] }
+ */
+export function parseCalendar(text) {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const calendar = { name: '', events: [] };
+    const stack = [];
+    let event = null;
+
+    lines.forEach(raw => {
+        const line = parseLine(raw);
+        if (!line) return;
+        if (line.name === 'BEGIN') {
+            stack.push(line.value.toUpperCase());
+            if (line.value.toUpperCase() === 'VEVENT') event = { exdates: [] };
+            return;
+        }
+        if (line.name === 'END') {
+            if (stack.pop() === 'VEVENT' && event) {
+                if (event.start) calendar.events.push(event);
+                event = null;
+            }
+            return;
+        }
+        const inside = stack[stack.length - 1];
+        if (inside === 'VCALENDAR' && line.name === 'X-WR-CALNAME') calendar.name = unescapeText(line.value);
+        if (inside !== 'VEVENT' || !event) return;
+
+        switch (line.name) {
+            case 'UID': event.uid = line.value; break;
+            case 'SUMMARY': event.summary = unescapeText(line.value); break;
+            case 'DESCRIPTION': event.description = unescapeText(line.value); break;
+            case 'LOCATION': event.location = unescapeText(line.value); break;
+            case 'STATUS': event.status = line.value.toUpperCase(); break;
+            case 'DTSTART': event.start = parseICSDate(line.value); break;
+            case 'RRULE': event.rrule = line.value; break;
+            case 'RECURRENCE-ID': event.recurrenceId = line.value; break;
+            case 'EXDATE':
+                line.value.split(',').map(parseICSDate).filter(Boolean).forEach(d => event.exdates.push(d.date));
+                break;
+        }
+    });
+    return calendar;
+}
+
+/**
+ * Turn an RRULE into a recurrence rule, as far as the Hub's rules go
+ * @param {string} value - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU"
+ * @param {string} startDate - The event's first date
+ * @returns {Object} { rule, until, count, exact } - exact is false when
+ *   the RRULE asks for more than a rule can say, e.g. several days a month
+ */
+export function fromRRule(value, startDate) {
+    const parts = Object.fromEntries(value.split(';').map(part => {
+        const [key, val = ''] = part.split('=');
+        return [key.toUpperCase(), val.toUpperCase()];
+    }));
+    const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[parts.FREQ];
+    if (!unit) return { rule: null, until: null, count: null, exact: false };
+
+    const rule = { unit, interval: Number(parts.INTERVAL) || 1, basis: 'due' };
+    let exact = true;
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+    const byMonthDay = parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number) : [];
+
+    if (unit === 'week' && byDay.length) {
+        rule.weekdays = byDay.map(d => BYDAY.indexOf(d.slice(-2))).filter(d => d !== -1);
+    } else if (unit === 'month' && byDay.length === 1) {
+        const match = byDay[0].match(/^([+-]?\d)?([A-Z]{2})$/);
+        const weekday = match ? BYDAY.indexOf(match[2]) : -1;
+        if (match && match[1] && weekday !== -1) {
+            rule.nthWeekday = { nth: Number(match[1]), weekday };
+        } else if (match && !match[1] && parts.BYSETPOS && weekday !== -1) {
+            rule.nthWeekday = { nth: Number(parts.BYSETPOS), weekday };
+        } else {
+            exact = false;
+        }
+    } else if ((unit === 'month' || unit === 'year') && byMonthDay.length) {
+        // The last day of the month, or "the Nth or the last day there is"
+        // the way exports from here write it
+        if (byMonthDay.length === 1 && byMonthDay[0] === -1) rule.monthDay = 31;
+        else if (byMonthDay.length === 1) rule.monthDay = byMonthDay[0];
+        else if (parts.BYSETPOS === '-1' && byMonthDay[0] === 28) rule.monthDay = Math.max(...byMonthDay);
+        else exact = false;
+    } else if (byDay.length) {
+        exact = false;
+    }
+    // With no day given the series keeps to its first date's, not one a short month moved it to
+    if ((unit === 'month' || unit === 'year') && !rule.monthDay && !rule.nthWeekday) {
+        rule.monthDay = parseISODate(startDate).getDate();
+    }
+    if (['BYHOUR', 'BYWEEKNO', 'BYYEARDAY'].some(key => key in parts)) exact = false;
+    if (unit === 'year' && parts.BYMONTH && Number(parts.BYMONTH) !== parseISODate(startDate).getMonth() + 1) exact = false;
+
+    return {
+        rule: normaliseRule(rule),
+        until: parts.UNTIL ? (parseICSDate(parts.UNTIL) || {}).date || null : null,
+        count: Number(parts.COUNT) || null,
+        exact
+    };
+}
+
+/**
+ * The dates an event happens on from today, skipping EXDATEs, as far
+ * ahead as imports look. EXDATEs still count towards a COUNT.
+ * @returns {Object} { dates, ends } - ends is true when the series
+ *   finishes within that window, so dates is all there is left
+ */
+function upcomingEventDates(event, rule, until, count) {
+    const start = event.start.date;
+    const today = getTodayISO();
+    if (!rule) return { dates: start >= today ? [start] : [], ends: true };
+
+    const horizon = addDays(today, IMPORT_HORIZON_DAYS);
+    const series = getOccurrences(rule, start, count ? start : today, until && until < horizon ? until : horizon);
+    const dates = (count ? series.slice(0, count) : series)
+        .filter(date => date >= today && !event.exdates.includes(date) && (!until || date <= until));
+    return { dates, ends: count ? series.length >= count : !!until && until < horizon };
+}
+
+/**
+ * The part of the day (as the cleaning page has them) a clock time falls in
+ */
+function partOfDay(time) {
+    return DAY_PARTS.find(([, end]) => time < end)[0];
+}
+
+function importedUids() {
+    return new Set([...getCleaningTasks(), ...getMaintenanceTasks()].flatMap(task => [
+        task.calendarUid,
+        // Events exported from here carry the task's own id
+        `${task.id}@${UID_DOMAIN}`
+    ]).filter(Boolean));
+}
+
+/**
+ * Work out the tasks an .ics file would add, for the user to check
+ * before importing. Cancelled events, changed single occurrences of a
+ * series and anything wholly in the past are left out.
+ * @param {string} text - The .ics file
+ * @returns {Object} { name, type, tasks: [{ uid, name, dueDate, time, recurrence, notes, exact, duplicate }] }
+ *   time is a part of the day ('Morning', 'Afternoon', 'Evening'), or '' for all-day events
+ *   type is the suggested category: 'cleaning' for bin collections, otherwise 'maintenance'
+ */
+export function readCalendarFile(text, fileName = '') {
+    const calendar = parseCalendar(text);
+    const uids = importedUids();
+    const existing = [...getCleaningTasks(), ...getMaintenanceTasks()];
+
+    const tasks = calendar.events
+        .filter(event => event.status !== 'CANCELLED' && !event.recurrenceId)
+        .map(event => {
+            const { rule, until, count, exact } = event.rrule
+                ? fromRRule(event.rrule, event.start.date)
+                : { rule: null, until: null, count: null, exact: true };
+            const { dates, ends } = upcomingEventDates(event, rule, until, count);
+            if (!dates.length) return null;
+            const dueDate = dates[0];
+            // Tasks don't end, so a series down to its last date comes in as
+            // a one-off; one with more to go repeats, and the preview says
+            // to check the dates
+            const recurrence = rule && !(ends && dates.length === 1) ? rule : null;
+            const name = (event.summary || 'Calendar event').trim();
+            // Dates the series leaves out from here on go with the rule, so they stay out
+            const skipDates = event.exdates.filter(date => date > dueDate);
+            return {
+                uid: event.uid || null,
+                name,
+                dueDate,
+                time: event.start.time ? partOfDay(event.start.time) : '',
+                recurrence: recurrence && skipDates.length ? normaliseRule({ ...recurrence, skipDates }) : recurrence,
+                // The exact time is kept in the notes, as tasks only go by part of the day
+                notes: [event.start.time && `At ${event.start.time}`, event.location, event.description].filter(Boolean).join('\n'),
+                exact: exact && !(recurrence && (until || count)),
+                duplicate: (event.uid && uids.has(event.uid))
+                    || existing.some(t => t.name.toLowerCase() === name.toLowerCase() && t.dueDate === dueDate)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+    const name = calendar.name || fileName.replace(/\.ics$/i, '') || 'Calendar';
+    return { name, type: CLEANING_CALENDAR.test(name) ? 'cleaning' : 'maintenance', tasks };
+}
+
+/**
+ * Add tasks picked from readCalendarFile. Each keeps its event's UID so
+ * importing the same file again can spot it.
+ * @param {Object[]} tasks - Entries from readCalendarFile().tasks
+ * @param {string} type - 'cleaning' or 'maintenance'
+ * @returns {Object[]} The new tasks
+ */
+export function importCalendarTasks(tasks, type) {
+    return addTasks(tasks.map(task => ({
+        name: task.name,
+        room: '',
+        frequency: task.recurrence ? 'custom' : 'once',
+        recurrence: task.recurrence,
+        day: WEEKDAY_NAMES[parseISODate(task.dueDate).getDay()],
+        dueDate: task.dueDate,
+        time: task.time,
+        notes: task.notes,
+        calendarUid: task.uid
+    })), type);
+}
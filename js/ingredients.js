@@ -0,0 +1,493 @@
+/* ============================================
+   INGREDIENTS.JS
+   Ingredient parsing and formatting
+   ============================================ */
+
+const UNICODE_FRACTIONS = {
+    '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+    '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6,
+    '⅚': 5 / 6, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+
+// Canonical unit followed by the spellings that map to it
+const UNIT_ALIASES = {
+    mg: ['mg', 'milligram', 'milligrams'],
+    g: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'],
+    kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+    ml: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+    cl: ['cl', 'centilitre', 'centilitres'],
+    l: ['l', 'litre', 'litres', 'liter', 'liters'],
+    tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+    tbsp: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons'],
+    cup: ['cup', 'cups'],
+    oz: ['oz', 'ounce', 'ounces'],
+    lb: ['lb', 'lbs', 'pound', 'pounds'],
+    pinch: ['pinch', 'pinches'],
+    dash: ['dash', 'dashes'],
+    splash: ['splash', 'splashes'],
+    knob: ['knob', 'knobs'],
+    handful: ['handful', 'handfuls'],
+    bunch: ['bunch', 'bunches'],
+    sprig: ['sprig', 'sprigs'],
+    clove: ['clove', 'cloves'],
+    slice: ['slice', 'slices'],
+    tin: ['tin', 'tins'],
+    can: ['can', 'cans'],
+    pack: ['pack', 'packs', 'packet', 'packets'],
+    jar: ['jar', 'jars']
+};
+
+const UNIT_LOOKUP = Object.entries(UNIT_ALIASES).reduce((lookup, [unit, aliases]) => {
+    aliases.forEach(alias => lookup[alias] = unit);
+    return lookup;
+}, {});
+
+// Units written straight after the number ("500g" rather than "2 tbsp")
+const COMPACT_UNITS = ['mg', 'g', 'kg', 'ml', 'cl', 'l', 'oz', 'lb'];
+
+// Abbreviations that never take a plural
+const INVARIANT_UNITS = ['tsp', 'tbsp'];
+
+// Units that read as "a knob of butter" rather than "a knob butter"
+const OF_UNITS = ['pinch', 'dash', 'splash', 'knob', 'handful'];
+
+// Units counted in whole things, like an ingredient with no unit ("2 onions")
+const COUNTABLE_UNITS = ['pinch', 'dash', 'splash', 'knob', 'handful', 'bunch', 'sprig', 'clove', 'slice', 'tin', 'can', 'pack', 'jar'];
+
+// What a weighed amount comes in ("400g tin"), which says nothing more about how much
+const CONTAINER_UNITS = ['tin', 'can', 'pack', 'jar'];
+
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+// Words after "a" that make it a loose amount ("a little oil", "a few
+// sprigs") rather than one of something
+const AMOUNT_QUALIFIERS = ['little', 'few', 'bit'];
+
+const NUMBER_PATTERN = '\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?';
+
+/**
+ * Swap unicode fractions (including "1½") for decimals, and read
+ * "1,000" as a thousand but "1,5" as one and a half
+ */
+function normaliseText(text) {
+    const fractionChars = Object.keys(UNICODE_FRACTIONS).join('');
+    return text
+        .replace(/⁄/g, '/')
+        .replace(/[–—]/g, '-')
+        .replace(new RegExp(`(\\d+)?\\s*([${fractionChars}])`, 'g'), (match, whole, fraction) => {
+            const value = (whole ? Number(whole) : 0) + UNICODE_FRACTIONS[fraction];
+            return ` ${Number(value.toFixed(4))} `;
+        })
+        .replace(/(\d),(?=\d{3}(?!\d))/g, '$1')
+        .replace(/(\d),(\d)/g, '$1.$2')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Convert "1", "1.5", "1/2" or "1 1/2" to a number
+ */
+function toNumber(token) {
+    return token.trim().split(/\s+/).reduce((total, part) => {
+        if (part.includes('/')) {
+            const [num, den] = part.split('/').map(Number);
+            return den ? total + num / den : total;
+        }
+        return total + Number(part);
+    }, 0);
+}
+
+/**
+ * Read a quantity (or range) from the start of the text. "A" or "an" is
+ * one of whatever follows, unless a number or a qualifier does.
+ * @returns {{quantity: ?number, quantityMax: ?number, rest: string, loose?: boolean}}
+ */
+function readQuantity(text) {
+    const range = new RegExp(`^(${NUMBER_PATTERN})(?:\\s*(?:-|to)\\s*(${NUMBER_PATTERN}))?\\s*`, 'i');
+    const match = text.match(range);
+    if (match) {
+        return {
+            quantity: toNumber(match[1]),
+            quantityMax: match[2] ? toNumber(match[2]) : null,
+            rest: text.slice(match[0].length)
+        };
+    }
+
+    const word = text.match(/^([a-z]+)\s+/i);
+    if (word && /^an?$/i.test(word[1])) {
+        const rest = text.slice(word[0].length);
+        const qualifier = rest.match(/^([a-z]+)\s+(?:of\s+)?/i);
+        if (qualifier && AMOUNT_QUALIFIERS.includes(qualifier[1].toLowerCase())) {
+            return { quantity: null, quantityMax: null, rest: rest.slice(qualifier[0].length), loose: true };
+        }
+        // "A 400g tin" is the 400g
+        if (new RegExp(`^(${NUMBER_PATTERN})`).test(rest)) return readQuantity(rest);
+        return { quantity: 1, quantityMax: null, rest };
+    }
+    if (word && WORD_NUMBERS[word[1].toLowerCase()] !== undefined) {
+        return {
+            quantity: WORD_NUMBERS[word[1].toLowerCase()],
+            quantityMax: null,
+            rest: text.slice(word[0].length)
+        };
+    }
+
+    return { quantity: null, quantityMax: null, rest: text };
+}
+
+/**
+ * Read a unit from the start of the text
+ * @returns {{unit: ?string, rest: string}}
+ */
+function readUnit(text) {
+    const match = text.match(/^([a-z]+)\.?(?![a-z])\s*/i);
+    if (match) {
+        const unit = UNIT_LOOKUP[match[1].toLowerCase()];
+        if (unit) {
+            return { unit, rest: text.slice(match[0].length).replace(/^of\s+/i, '') };
+        }
+    }
+    return { unit: null, rest: text };
+}
+
+/**
+ * Step over the same amount in other units, as in "150g/5oz" or "1 cup (240ml)"
+ * @returns {string} The text after it, or the text as it was
+ */
+function skipAlternative(text) {
+    const open = text.match(/^([/(])\s*/);
+    if (!open) return text;
+    const { quantity, rest } = readQuantity(text.slice(open[0].length));
+    if (quantity === null) return text;
+    const { unit, rest: after } = readUnit(rest);
+    if (!unit) return text;
+    if (open[1] === '/') return after;
+    const close = after.match(/^\)\s*/);
+    return close ? after.slice(close[0].length).replace(/^of\s+/i, '') : text;
+}
+
+/**
+ * Parse a free-text ingredient line
+ * e.g. "2 tbsp tomato puree" or "1 onion, diced"
+ * @param {string} text - The ingredient as written
+ * @returns {Object} { text, quantity, quantityMax, unit, item, preparation }
+ */
+export function parseIngredient(text) {
+    const original = String(text || '').trim();
+    let { quantity, quantityMax, rest, loose } = readQuantity(normaliseText(original));
+
+    // "2 x 400g tins" multiplies out to 800g
+    const multiplied = rest.match(/^x\s*/i);
+    if (quantity !== null && multiplied) {
+        const inner = readQuantity(rest.slice(multiplied[0].length));
+        if (inner.quantity !== null) {
+            quantity *= inner.quantity;
+            quantityMax = null;
+            rest = inner.rest;
+        }
+    }
+
+    let unit = null;
+    ({ unit, rest } = readUnit(rest));
+
+    // "Knob of butter" or "Pinch of salt" means one of them
+    if (quantity === null && unit !== null && !loose) {
+        if (COMPACT_UNITS.includes(unit)) {
+            unit = null;
+            rest = normaliseText(original);
+        } else {
+            quantity = 1;
+        }
+    }
+
+    if (unit !== null) {
+        rest = skipAlternative(rest);
+        // "400g tins chopped tomatoes" is 400g of chopped tomatoes
+        const container = readUnit(rest);
+        if (COMPACT_UNITS.includes(unit) && CONTAINER_UNITS.includes(container.unit)) {
+            rest = container.rest;
+        }
+    }
+
+    const comma = rest.indexOf(',');
+    const item = (comma === -1 ? rest : rest.slice(0, comma)).trim();
+    const preparation = comma === -1 ? '' : rest.slice(comma + 1).trim();
+
+    return { text: original, quantity, quantityMax, unit, item, preparation };
+}
+
+/**
+ * Parse a list of ingredient lines, skipping blanks
+ * @param {string[]} lines - Ingredient lines
+ * @returns {Object[]} Parsed ingredients
+ */
+export function parseIngredients(lines) {
+    return (lines || [])
+        .map(line => String(line).trim())
+        .filter(line => line)
+        .map(parseIngredient);
+}
+
+/**
+ * Format a number for display, using fractions where they read better
+ * @param {number} value - The amount
+ * @returns {string} e.g. "1½", "0.3" or "250"
+ */
+export function formatQuantity(value) {
+    if (value === null || value === undefined || isNaN(value)) return '';
+    const whole = Math.floor(value);
+    const remainder = value - whole;
+    const fraction = Object.entries(UNICODE_FRACTIONS)
+        .find(([, amount]) => Math.abs(amount - remainder) < 0.02 && amount >= 0.25);
+
+    if (fraction) return `${whole || ''}${fraction[0]}`;
+    if (Math.abs(remainder) < 0.02 || Math.abs(remainder - 1) < 0.02) return String(Math.round(value));
+    return String(Number(value.toFixed(value < 10 ? 2 : 1)));
+}
+
+/**
+ * Whether an ingredient is counted in whole things rather than measured
+ * @param {Object} ingredient - Parsed ingredient
+ * @returns {boolean}
+ */
+export function isCountable(ingredient) {
+    return !ingredient.unit || COUNTABLE_UNITS.includes(ingredient.unit);
+}
+
+/**
+ * Scale a parsed ingredient, e.g. from a recipe's yield to a headcount.
+ * Countable items round up to the nearest half so nobody is asked
+ * for 0.38 of an onion.
+ * @param {Object} ingredient - Parsed ingredient
+ * @param {number} factor - Multiplier for the quantity
+ * @returns {Object} A scaled copy of the ingredient
+ */
+export function scaleIngredient(ingredient, factor = 1) {
+    if (ingredient.quantity === null || ingredient.quantity === undefined || factor === 1) {
+        return { ...ingredient };
+    }
+    const round = isCountable(ingredient)
+        ? value => Math.ceil(value * 2 - 0.001) / 2
+        : value => value;
+    return {
+        ...ingredient,
+        quantity: round(ingredient.quantity * factor),
+        quantityMax: ingredient.quantityMax ? round(ingredient.quantityMax * factor) : null
+    };
+}
+
+/**
+ * "lemon" and "lemons", for items counted without a unit
+ */
+function pluralWord(word) {
+    if (/(tomato|potato)$/i.test(word) || /(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+    if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+    return `${word}s`;
+}
+
+function singularWord(word) {
+    if (/(tomato|potato)es$/i.test(word) || /(s|x|z|ch|sh)es$/i.test(word)) return word.slice(0, -2);
+    if (/[^aeiou]ies$/i.test(word)) return `${word.slice(0, -3)}y`;
+    if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Make an item read right for how many there are, changing the word
+ * the count goes with: "2 red onions", "2 bags of spinach", "2 eggs (large)"
+ */
+function countedItem(item, quantity) {
+    return item.replace(/^(.*?)([a-z]+)((?:\s+of\s+.*|\s*\(.*\))?)$/i, (match, before, word, after) => {
+        const singular = singularWord(word);
+        if (quantity > 1) return singular === word ? `${before}${pluralWord(word)}${after}` : match;
+        return `${before}${singular}${after}`;
+    });
+}
+
+/**
+ * Turn a parsed ingredient back into display text
+ * @param {Object} ingredient - Parsed ingredient
+ * @param {number} factor - Multiplier for the quantity
+ * @returns {string} e.g. "500g beef mince" or "1 onion, diced"
+ */
+export function formatIngredient(ingredient, factor = 1) {
+    if (ingredient.quantity === null || ingredient.quantity === undefined) {
+        return ingredient.text;
+    }
+
+    const scaled = scaleIngredient(ingredient, factor);
+    let amount = formatQuantity(scaled.quantity);
+    if (scaled.quantityMax) {
+        amount += `-${formatQuantity(scaled.quantityMax)}`;
+    }
+
+    let unit = '';
+    if (COMPACT_UNITS.includes(ingredient.unit)) {
+        unit = ingredient.unit;
+    } else if (ingredient.unit) {
+        const plural = (scaled.quantityMax || scaled.quantity) > 1
+            && !INVARIANT_UNITS.includes(ingredient.unit);
+        unit = ` ${ingredient.unit}${plural ? (/(ch|sh)$/.test(ingredient.unit) ? 'es' : 's') : ''}`;
+        if (OF_UNITS.includes(ingredient.unit)) unit += ' of';
+    }
+
+    // Scaling "1 lemon" up, or "2 lemons" down, changes the item's plural
+    const before = ingredient.quantityMax || ingredient.quantity;
+    const after = scaled.quantityMax || scaled.quantity;
+    const item = !ingredient.unit && (before > 1) !== (after > 1)
+        ? countedItem(ingredient.item, after)
+        : ingredient.item;
+
+    const preparation = ingredient.preparation ? `, ${ingredient.preparation}` : '';
+    return `${amount}${unit} ${item}${preparation}`.trim();
+}
+
+// Size of each convertible unit in its dimension's base unit (g or ml)
+const UNIT_CONVERSIONS = {
+    mg: { dimension: 'mass', factor: 0.001 },
+    g: { dimension: 'mass', factor: 1 },
+    kg: { dimension: 'mass', factor: 1000 },
+    oz: { dimension: 'mass', factor: 28.35 },
+    lb: { dimension: 'mass', factor: 453.6 },
+    ml: { dimension: 'volume', factor: 1 },
+    cl: { dimension: 'volume', factor: 10 },
+    l: { dimension: 'volume', factor: 1000 },
+    tsp: { dimension: 'volume', factor: 5 },
+    tbsp: { dimension: 'volume', factor: 15 },
+    cup: { dimension: 'volume', factor: 240 }
+};
+
+const SPOON_UNITS = ['tsp', 'tbsp', 'cup'];
+
+/**
+ * Reduce an item name to a key so "Onions" and "onion" match
+ */
+function itemKey(item) {
+    return item
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/ies$/, 'y')
+        .replace(/(ch|sh|x|o)es$/, '$1')
+        .replace(/([^s])s$/, '$1');
+}
+
+/**
+ * Whether a parsed ingredient is the named item, allowing for plurals and
+ * extra words on either side ("chicken" matches "chicken thighs")
+ * @param {Object} ingredient - Parsed ingredient
+ * @param {string} name - Item name, e.g. from the pantry
+ * @returns {boolean}
+ */
+export function ingredientMatches(ingredient, name) {
+    if (!ingredient.item || !name) return false;
+    const words = text => ` ${text.split(' ').map(itemKey).join(' ')} `;
+    const a = words(itemKey(ingredient.item));
+    const b = words(itemKey(name));
+    return a.includes(b) || b.includes(a);
+}
+
+/**
+ * Work out which dimension an ingredient's amount belongs to
+ * @returns {{dimension: string, amount: ?number}} amount in g, ml or the unit itself
+ */
+function toBaseAmount(ingredient) {
+    const amount = ingredient.quantityMax || ingredient.quantity;
+    if (amount === null || amount === undefined) {
+        return { dimension: 'none', amount: null };
+    }
+    const conversion = UNIT_CONVERSIONS[ingredient.unit];
+    if (conversion) {
+        return { dimension: conversion.dimension, amount: amount * conversion.factor };
+    }
+    // Counts ("2 onions") and count-like units ("3 cloves") only add to themselves
+    return { dimension: ingredient.unit || 'count', amount };
+}
+
+/**
+ * Pick a readable unit for a total in g or ml
+ * @param {string} dimension - 'mass' or 'volume'
+ * @param {number} amount - Total in the base unit
+ * @param {string[]} units - Units the recipes used
+ * @returns {{quantity: number, unit: string}}
+ */
+function toDisplayUnit(dimension, amount, units) {
+    if (dimension === 'mass') {
+        return amount >= 1000 ? { quantity: amount / 1000, unit: 'kg' } : { quantity: amount, unit: 'g' };
+    }
+    if (units.every(unit => SPOON_UNITS.includes(unit))) {
+        if (amount < 15) return { quantity: amount / 5, unit: 'tsp' };
+        if (amount < 240) return { quantity: amount / 15, unit: 'tbsp' };
+        return { quantity: amount / 240, unit: 'cup' };
+    }
+    return amount >= 1000 ? { quantity: amount / 1000, unit: 'l' } : { quantity: amount, unit: 'ml' };
+}
+
+/**
+ * Merge ingredients from several recipes into shopping lines,
+ * converting g/kg, ml/l and spoon measures so like adds to like.
+ * Anything already in stock is taken off what needs buying; a stock
+ * entry with no quantity counts as having enough.
+ * @param {Object[]} entries - [{ ingredient, source }] where ingredient is parsed
+ * @param {Object[]} stock - Ingredient-shaped { item, quantity, unit } already at home
+ * @returns {Object[]} Lines of { key, item, quantity, unit, sources, stocked, covered }
+ */
+export function aggregateIngredients(entries, stock = []) {
+    const lines = new Map();
+
+    entries.forEach(({ ingredient, source = {} }) => {
+        if (!ingredient || !ingredient.item) return;
+        const { dimension, amount } = toBaseAmount(ingredient);
+        const key = `${itemKey(ingredient.item)}|${dimension}`;
+
+        if (!lines.has(key)) {
+            lines.set(key, { key, item: ingredient.item, dimension, total: null, units: [], sources: [] });
+        }
+        const line = lines.get(key);
+        if (amount !== null) line.total = (line.total || 0) + amount;
+        if (ingredient.unit && !line.units.includes(ingredient.unit)) line.units.push(ingredient.unit);
+        line.sources.push({ ...source, text: ingredient.text });
+    });
+
+    // itemKey -> { dimension: amount in the base unit }
+    const onHand = new Map();
+    stock.forEach(ingredient => {
+        if (!ingredient || !ingredient.item) return;
+        const { dimension, amount } = toBaseAmount(ingredient);
+        const key = itemKey(ingredient.item);
+        const held = onHand.get(key) || {};
+        held[dimension] = amount === null ? Infinity : (held[dimension] || 0) + amount;
+        onHand.set(key, held);
+    });
+    // Stock with no amount recorded, or a recipe line with none, matches any measure
+    const stockFor = ({ item, dimension }) => {
+        const held = onHand.get(itemKey(item));
+        if (!held) return 0;
+        if (held.none === Infinity || dimension === 'none') return Infinity;
+        return held[dimension] || 0;
+    };
+
+    return [...lines.values()].map(line => {
+        const { key, item, dimension, units, sources } = line;
+        let total = line.total;
+        const held = stockFor(line);
+        const stocked = held > 0;
+        const covered = stocked && (total === null || held >= total - 0.001);
+        if (stocked && !covered) total -= held;
+
+        let quantity = total;
+        let unit = null;
+        if (dimension === 'mass' || dimension === 'volume') {
+            ({ quantity, unit } = toDisplayUnit(dimension, total, units));
+        } else if (dimension !== 'count' && dimension !== 'none') {
+            unit = dimension;
+        }
+        if (quantity !== null) {
+            // Whole items are bought whole
+            quantity = unit === null || COUNTABLE_UNITS.includes(unit)
+                ? Math.ceil(quantity - 0.001)
+                : Math.round(quantity * 100) / 100;
+        }
+        return { key, item, quantity, unit, sources, stocked, covered };
+    });
+}
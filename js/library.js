@@ -0,0 +1,201 @@
+/* library.js - Shared Recipe Library (meals/ on the server) */
+import { addMeals } from './meals.js';
+import { MEAL_FOLDERS, toCanonicalMeal } from './schema.js';
+
+// Served by server.js alongside the app; absent on a static host such as GitHub Pages
+const LIBRARY_URL = new URL('../api/meals', import.meta.url);
+const IMPORT_URL = new URL('../api/recipes/import', import.meta.url);
+
+export function slugify(text) {
+    return text.toLowerCase()
+        .replace(/[^\w]+/g, '-')
+        .replace(/(^-+|-+$)/g, '');
+}
+
+function entryUrl(type, slug) {
+    return `${LIBRARY_URL.href}/${encodeURIComponent(type)}/${encodeURIComponent(slug)}`;
+}
+
+// A list of text from a library file, whatever the file holds instead
+function textList(value) {
+    return Array.isArray(value) ? value.filter(item => item !== null && item !== undefined).map(String) : [];
+}
+
+/**
+ * A library file as a meal the app can show. Anyone can put a file in
+ * meals/, so every field is made the shape the page expects.
+ */
+function fromLibrary({ type, slug, meal, version }) {
+    const canonical = toCanonicalMeal(meal);
+    return {
+        ...canonical,
+        id: `library-${type}-${slug}`,
+        title: String(canonical.title || slug),
+        type: typeof canonical.type === 'string' ? canonical.type : '',
+        ingredients: textList(canonical.ingredients),
+        instructions: typeof canonical.instructions === 'string' ? canonical.instructions : '',
+        dietary: textList(canonical.dietary),
+        servings: Number(canonical.servings) || 4,
+        image: typeof canonical.image === 'string' && canonical.image ? canonical.image : null,
+        url: typeof canonical.url === 'string' ? canonical.url : '',
+        time: typeof canonical.time === 'number' ? canonical.time : undefined,
+        library: { type, slug, version }
+    };
+}
+
+// Just what a library file holds (see MEAL_SCHEMA)
+function toLibrary(meal) {
+    return {
+        title: meal.title,
+        type: meal.type,
+        dietary: meal.dietary || [],
+        ingredients: meal.ingredients || [],
+        instructions: meal.instructions || '',
+        servings: Number(meal.servings) || 4,
+        image: meal.image || null,
+        url: meal.url || '',
+        ...(typeof meal.time === 'number' ? { time: meal.time } : {})
+    };
+}
+
+async function request(url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+    });
+    if (response.status === 204) return null;
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(body.error || `Library request failed (${response.status})`);
+        error.status = response.status;
+        // Problems with the meal, as validate() gives them
+        error.details = body.details || [];
+        // A 409 (someone else changed it first) or 428 (it already exists)
+        // says what the meal is now: null if it has since been removed
+        if ('current' in body) error.current = body.current && fromLibrary(body.current);
+        throw error;
+    }
+    return body;
+}
+
+/**
+ * All the meals in the shared library
+ * @returns {Promise<Object[]>} Meals, each with library: { type, slug, version }
+ * @throws If there's no library server to talk to
+ */
+export async function fetchLibrary() {
+    return (await request(LIBRARY_URL)).map(fromLibrary);
+}
+
+/*
+ * Changes carry the version they were made to (If-Match), and new meals
+ * say they're new (If-None-Match: *), so nobody overwrites a change they
+ * haven't seen. When that happens the request throws with status 409 and
+ * error.current, the meal as it is now, for mergeMeals.
+ */
+
+function writeMeal(type, slug, meal, version) {
+    return request(entryUrl(type, slug), {
+        method: 'PUT',
+        headers: version ? { 'If-Match': `"${version}"` } : { 'If-None-Match': '*' },
+        body: JSON.stringify(toLibrary(meal))
+    }).then(fromLibrary);
+}
+
+/**
+ * Put a recipe in the shared library, new or over a library recipe
+ * @param {Object} meal - The recipe to save
+ * @param {Object} [existing] - The library recipe it replaces, with the
+ *   version last seen; a null version saves it there as new
+ * @returns {Promise<Object>} The library meal
+ */
+export async function shareMeal(meal, existing = null) {
+    const type = MEAL_FOLDERS[(meal.type || '').toLowerCase()];
+    if (!type) throw new Error('Choose a meal type before sharing this recipe');
+    if (!existing) return writeMeal(type, slugify(meal.title), meal);
+
+    const { library } = existing;
+    if (type === library.type) return writeMeal(type, library.slug, meal, library.version);
+    // A new meal type is a new folder: save it there, then take it out of the old one
+    const saved = await writeMeal(type, library.slug, meal);
+    if (library.version) {
+        await removeFromLibrary(existing).catch(error => {
+            // Already gone, or changed by someone else, who keeps their version
+            if (error.status !== 404 && error.current === undefined) throw error;
+        });
+    }
+    return saved;
+}
+
+export async function removeFromLibrary(libraryMeal) {
+    const { type, slug, version } = libraryMeal.library;
+    await request(entryUrl(type, slug), { method: 'DELETE', headers: { 'If-Match': `"${version}"` } });
+}
+
+// What a merge compares; anything else (ids, emoji) isn't kept in the library
+export const MERGE_FIELDS = ['title', 'type', 'dietary', 'servings', 'time', 'ingredients', 'instructions', 'url', 'image'];
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Three-way merge of two edits to a recipe. A field only one side changed
+ * takes that change. Lists (ingredients, dietary) changed on both sides
+ * are merged line by line: lines either side removed go, lines either
+ * side added are kept. Anything else changed on both sides is a conflict.
+ * @param {Object|null} base - The recipe both edits started from; null if
+ *   they didn't share one (two people adding the same recipe)
+ * @param {Object} mine
+ * @param {Object} theirs
+ * @returns {{ meal: Object, merged: string[], conflicts: Object[] }} The
+ *   merged recipe (conflicting fields as theirs), the fields combined from
+ *   both sides, and conflicts as [{ field, mine, theirs }]
+ */
+export function mergeMeals(base, mine, theirs) {
+    const meal = { ...theirs };
+    const merged = [];
+    const conflicts = [];
+    MERGE_FIELDS.forEach(field => {
+        const ours = mine[field];
+        const other = theirs[field];
+        if (sameValue(ours, other)) return;
+        if (base && sameValue(base[field], other)) {
+            meal[field] = ours;
+        } else if (base && sameValue(base[field], ours)) {
+            return;
+        } else if (base && Array.isArray(ours) && Array.isArray(other) && Array.isArray(base[field])) {
+            const removed = base[field].filter(line => !ours.includes(line) || !other.includes(line));
+            const combined = [...other, ...ours.filter(line => !other.includes(line))];
+            meal[field] = combined.filter(line => !removed.includes(line));
+            merged.push(field);
+        } else {
+            conflicts.push({ field, mine: ours, theirs: other });
+        }
+    });
+    return { meal, merged, conflicts };
+}
+
+/**
+ * Read a recipe from another site's page. The server finds its
+ * schema.org Recipe markup, so this needs the server like the library does.
+ * @param {Object} page - { url } for the server to fetch, or { html, url }
+ *   for a page saved or copied earlier
+ * @returns {Promise<Object>} The fields the page gives: title, type, dietary,
+ *   ingredients, instructions, servings, time (minutes), image and url
+ * @throws If there's no recipe on the page or it can't be fetched
+ */
+export async function importRecipe(page) {
+    const { recipe } = await request(IMPORT_URL, { method: 'POST', body: JSON.stringify(page) });
+    return recipe;
+}
+
+/**
+ * Copy a library recipe into your own recipes so it can be planned
+ * @returns {Object|null} The new meal, or null if you already have one by that title
+ */
+export function saveLibraryMeal(libraryMeal) {
+    const { id, library, ...meal } = libraryMeal;
+    const [added] = addMeals([{ ...meal, mainIngredients: meal.mainIngredients || [], favourite: false }]);
+    return added || null;
+}
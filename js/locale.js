@@ -0,0 +1,93 @@
+/* locale.js - Currency and Number Formatting */
+import { getData } from './storage.js';
+
+// Number format used for each currency unless the settings pick another
+export const CURRENCIES = {
+    GBP: { label: '£ GBP', locale: 'en-GB' },
+    USD: { label: '$ USD', locale: 'en-US' },
+    EUR: { label: '€ EUR', locale: 'de-DE' }
+};
+
+export const NUMBER_LOCALES = {
+    'en-GB': '1,234.56 (UK)',
+    'en-US': '1,234.56 (US)',
+    'en-IE': '1,234.56 (Ireland)',
+    'de-DE': '1.234,56 (Germany)',
+    'fr-FR': '1 234,56 (France)',
+    'es-ES': '1.234,56 (Spain)',
+    'it-IT': '1.234,56 (Italy)',
+    'nl-NL': '1.234,56 (Netherlands)'
+};
+
+export function getCurrency() {
+    const settings = getData('settings') || {};
+    return CURRENCIES[settings.currency] ? settings.currency : 'GBP';
+}
+
+/**
+ * Locale for numbers and prices: the one chosen in settings, or the
+ * usual one for the currency
+ */
+export function getLocale() {
+    const settings = getData('settings') || {};
+    return NUMBER_LOCALES[settings.locale] ? settings.locale : CURRENCIES[getCurrency()].locale;
+}
+
+/**
+ * Format an amount in the chosen currency, e.g. "£3.50" or "3,50 €"
+ * @param {number} amount
+ * @param {Object} options - { currency, locale } to override the settings
+ */
+export function formatPrice(amount, { currency = getCurrency(), locale = getLocale() } = {}) {
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency
+    }).format(Number(amount) || 0);
+}
+
+/**
+ * Format an amount without the currency symbol, for price inputs
+ */
+export function formatAmount(amount, { locale = getLocale() } = {}) {
+    if (amount === null || amount === undefined || amount === '') return '';
+    return new Intl.NumberFormat(locale, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+        useGrouping: false
+    }).format(Number(amount) || 0);
+}
+
+export function getCurrencySymbol({ currency = getCurrency(), locale = getLocale() } = {}) {
+    const part = new Intl.NumberFormat(locale, { style: 'currency', currency })
+        .formatToParts(0)
+        .find(p => p.type === 'currency');
+    return part ? part.value : currency;
+}
+
+function getDecimalSeparator(locale) {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+    return part ? part.value : '.';
+}
+
+/**
+ * Read an amount typed by the user. The locale's decimal separator is
+ * honoured ("3,50" is three and a half in de-DE), and a lone separator
+ * followed by one or two digits is taken as the decimal point either way,
+ * so "3.50" still works for someone whose locale uses commas.
+ * @param {string} priceString - e.g. "£1,234.50", "1.234,50 €", "3,5"
+ * @returns {number} The amount, or 0 if there isn't one
+ */
+export function parsePrice(priceString, { locale = getLocale() } = {}) {
+    if (typeof priceString === 'number') return priceString;
+    const cleaned = String(priceString || '').replace(/[^\d.,-]/g, '');
+    const lastSeparator = Math.max(cleaned.lastIndexOf('.'), cleaned.lastIndexOf(','));
+    if (lastSeparator === -1) return parseFloat(cleaned) || 0;
+
+    const separator = cleaned[lastSeparator];
+    const decimals = cleaned.slice(lastSeparator + 1);
+    const isDecimal = separator === getDecimalSeparator(locale) || decimals.length <= 2;
+
+    const whole = cleaned.slice(0, lastSeparator).replace(/[.,]/g, '');
+    const value = isDecimal ? `${whole}.${decimals}` : `${whole}${decimals}`;
+    return parseFloat(value) || 0;
+}
@@ -0,0 +1,72 @@
+/* maintenance.js - Recommended Maintenance Catalogue */
+import { addTask, getMaintenanceTasks } from './tasks.js';
+import { ruleFromFrequency, normaliseRule, describeRule } from './recurrence.js';
+import { getTodayISO, parseISODate } from './app.js';
+
+const CATALOGUE_URL = new URL('../data/maintenance-catalogue.json', import.meta.url);
+
+let catalogue = null;
+
+/**
+ * Load the recommended tasks, fetching them the first time
+ * @returns {Promise<Object>} { areas: [...], tasks: [...] }
+ */
+export async function loadCatalogue() {
+    if (catalogue) return catalogue;
+    const response = await fetch(CATALOGUE_URL);
+    if (!response.ok) throw new Error(`Couldn't load the maintenance catalogue (${response.status})`);
+    const data = await response.json();
+    catalogue = {
+        areas: data.areas || [...new Set(data.tasks.map(t => t.area))],
+        tasks: data.tasks || []
+    };
+    return catalogue;
+}
+
+export function getCatalogueTasks(area) {
+    if (!catalogue) return [];
+    return area ? catalogue.tasks.filter(t => t.area === area) : catalogue.tasks;
+}
+
+/**
+ * The repeat rule a catalogue entry suggests
+ */
+export function getCatalogueRule(entry) {
+    return entry.recurrence ? normaliseRule(entry.recurrence) : ruleFromFrequency(entry.frequency);
+}
+
+export function describeCatalogueFrequency(entry) {
+    return describeRule(getCatalogueRule(entry));
+}
+
+/**
+ * The scheduled task already made from a catalogue entry, if any
+ */
+export function findScheduledTask(entry) {
+    return getMaintenanceTasks().find(t => t.catalogueId === entry.id) || null;
+}
+
+/**
+ * Put a recommended task on the calendar as a maintenance task
+ * @param {Object} entry - Catalogue entry
+ * @param {string} dueDate - First due date
+ * @returns {Object} The new task
+ */
+export function scheduleCatalogueTask(entry, dueDate = getTodayISO()) {
+    const rule = getCatalogueRule(entry);
+    // Monthly and yearly rules land on the same day of the month as the first due date
+    const recurrence = rule && (rule.unit === 'month' || rule.unit === 'year')
+        ? { ...rule, monthDay: parseISODate(dueDate).getDate() }
+        : rule;
+    return addTask({
+        name: entry.title,
+        room: entry.area,
+        dueDate,
+        time: '',
+        frequency: recurrence ? entry.frequency : 'once',
+        recurrence,
+        notes: [entry.routine, ...entry.instructions].filter(Boolean).join('\n'),
+        catalogueId: entry.id,
+        category: entry.type
+    }, 'maintenance');
+}
@@ -1,6 +1,7 @@
 /* meals.js - Meal Management */
 import { getData, updateData } from './storage.js';
 import { generateId, showSuccess, showError } from './app.js';
+import { parseIngredients, ingredientMatches } from './ingredients.js';
 
 export function getMeals() {
     return getData('meals') || [];
@@ -11,6 +12,7 @@ export function addMeal(mealData) {
     const newMeal = {
         id: generateId(),
         ...mealData,
+        parsedIngredients: parseIngredients(mealData.ingredients),
         dateAdded: new Date().toISOString(),
         lastMade: null
     };
@@ -20,11 +22,35 @@ export function addMeal(mealData) {
     return newMeal;
 }
 
+/**
+ * Add a batch of recipes, e.g. the samples offered to a new household.
+ * Recipes with the same title as one already saved are skipped.
+ * @returns {Object[]} The meals actually added
+ */
+export function addMeals(mealsData) {
+    const meals = getMeals();
+    const titles = new Set(meals.map(m => m.title.toLowerCase()));
+    const added = mealsData
+        .filter(meal => !titles.has(meal.title.toLowerCase()))
+        .map(({ id, ...mealData }) => ({
+            ...mealData,
+            id: generateId(),
+            parsedIngredients: parseIngredients(mealData.ingredients),
+            dateAdded: new Date().toISOString(),
+            lastMade: null
+        }));
+    if (added.length) updateData('meals', [...meals, ...added]);
+    return added;
+}
+
 export function updateMeal(mealId, mealData) {
     const meals = getMeals();
     const index = meals.findIndex(m => m.id === mealId);
     if (index !== -1) {
         meals[index] = { ...meals[index], ...mealData };
+        if (mealData.ingredients) {
+            meals[index].parsedIngredients = parseIngredients(mealData.ingredients);
+        }
         updateData('meals', meals);
         showSuccess('Meal updated!');
         return meals[index];
@@ -56,6 +82,7 @@ export function filterMeals(filters) {
         if (filters.type && filters.type !== 'all' && meal.type !== filters.type) return false;
         if (filters.dietary && !filters.dietary.every(d => meal.dietary.includes(d))) return false;
         if (filters.ingredient && !meal.mainIngredients.some(i => i.toLowerCase().includes(filters.ingredient.toLowerCase()))) return false;
+        if (filters.uses && !getMealIngredients(meal).some(i => ingredientMatches(i, filters.uses))) return false;
         if (filters.search) {
             const searchText = `${meal.title} ${meal.ingredients.join(' ')}`.toLowerCase();
             if (!searchText.includes(filters.search.toLowerCase())) return false;
@@ -63,3 +90,29 @@ export function filterMeals(filters) {
         return true;
     });
 }
+
+export function getMealIngredients(meal) {
+    return meal.parsedIngredients || parseIngredients(meal.ingredients);
+}
+
+/**
+ * Rank recipes by how many of the given items they use, e.g. whatever in
+ * the pantry is about to go off. Items should be in order of urgency;
+ * ties go to the recipe using the most urgent item.
+ * @param {string[]} itemNames - Ingredient names, most urgent first
+ * @param {Object} filters - Any other filterMeals() filters to apply
+ * @returns {Object[]} [{ meal, uses: string[] }] best match first
+ */
+export function suggestMealsUsing(itemNames, filters = {}) {
+    const matches = new Map();
+    itemNames.forEach((name, urgency) => {
+        filterMeals({ ...filters, uses: name }).forEach(meal => {
+            if (!matches.has(meal.id)) matches.set(meal.id, { meal, uses: [], urgency });
+            const match = matches.get(meal.id);
+            if (!match.uses.includes(name)) match.uses.push(name);
+        });
+    });
+    return [...matches.values()]
+        .sort((a, b) => b.uses.length - a.uses.length || a.urgency - b.urgency)
+        .map(({ meal, uses }) => ({ meal, uses }));
+}
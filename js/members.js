@@ -0,0 +1,298 @@
+/* members.js - Household Members & Chore Assignment */
+import { getData, updateData } from './storage.js';
+import { generateId, showSuccess, getWeekStart, addDays } from './app.js';
+import { getCleaningTasks, getMaintenanceTasks, getTaskRule } from './tasks.js';
+import { getOccurrences } from './recurrence.js';
+import { getHistory } from './history.js';
+
+export const EFFORT_LEVELS = { 1: 'Light', 2: 'Medium', 3: 'Heavy' };
+
+// Weeks of past rotas that count towards balancing the next one
+const BALANCE_WEEKS = 4;
+// Weeks ahead that rotas are worked out for, as far as calendar exports
+// list chores one by one
+const ROTA_WEEKS = 12;
+
+export function getMembers() {
+    return getData('members') || [];
+}
+
+export function getMember(memberId) {
+    return getMembers().find(m => m.id === memberId) || null;
+}
+
+export function addMember(name) {
+    const members = getMembers();
+    const trimmed = name.trim();
+    if (!trimmed || members.some(m => m.name.toLowerCase() === trimmed.toLowerCase())) return null;
+    const member = { id: generateId(), name: trimmed };
+    members.push(member);
+    updateData('members', members);
+    updateFairRotas();
+    showSuccess(`${trimmed} added to the household`);
+    return member;
+}
+
+export function renameMember(memberId, name) {
+    const members = getMembers();
+    const member = members.find(m => m.id === memberId);
+    if (member && name.trim()) {
+        member.name = name.trim();
+        updateData('members', members);
+        updateFairRotas();
+    }
+    return member || null;
+}
+
+/**
+ * Remove someone from the household. Their own tasks become unassigned
+ * and they drop out of any rotations.
+ */
+export function removeMember(memberId) {
+    updateData('members', getMembers().filter(m => m.id !== memberId));
+    ['cleaningTasks', 'maintenanceTasks'].forEach(key => {
+        const tasks = (getData(key) || []).map(task => {
+            const assignment = task.assignment;
+            if (!assignment) return task;
+            if (assignment.mode === 'person' && assignment.memberId === memberId) {
+                return { ...task, assignment: null };
+            }
+            if (assignment.mode === 'rotation') {
+                return { ...task, assignment: { ...assignment, memberIds: assignment.memberIds.filter(id => id !== memberId) } };
+            }
+            return task;
+        });
+        updateData(key, tasks);
+    });
+    const settings = getData('settings') || {};
+    if (settings.currentMemberId === memberId) updateData('settings', { ...settings, currentMemberId: null });
+    updateFairRotas();
+    showSuccess('Member removed');
+}
+
+/**
+ * The member picked as "me" on this device, if any
+ */
+export function getCurrentMember() {
+    const settings = getData('settings') || {};
+    return settings.currentMemberId ? getMember(settings.currentMemberId) : null;
+}
+
+export function setCurrentMember(memberId) {
+    const settings = getData('settings') || {};
+    updateData('settings', { ...settings, currentMemberId: memberId || null });
+}
+
+function effortOf(task) {
+    return Number(task.effort) || 1;
+}
+
+function allTasks() {
+    return [
+        ...getCleaningTasks().map(task => ({ task, type: 'cleaning' })),
+        ...getMaintenanceTasks().map(task => ({ task, type: 'maintenance' }))
+    ];
+}
+
+function isFair(task) {
+    return !!task.assignment && task.assignment.mode === 'fair';
+}
+
+/**
+ * Fair-share chores done in a week, from the task history. Doing one
+ * moves its task's due date on, so it's no longer among the task's
+ * occurrences, but the effort still counts for whoever it fell to.
+ * @returns {Object} { 'taskId|date': { effort, byId } }, byId being the member who did it
+ */
+function doneFairChores(tasks, history, weekStart) {
+    const weekEnd = addDays(weekStart, 6);
+    const fair = Object.fromEntries(tasks.filter(isFair).map(task => [task.id, task]));
+    const done = {};
+    history.forEach(entry => {
+        if (fair[entry.taskId] && entry.dueDate >= weekStart && entry.dueDate <= weekEnd) {
+            done[`${entry.taskId}|${entry.dueDate}`] = { effort: effortOf(fair[entry.taskId]), byId: entry.byId || null };
+        }
+    });
+    return done;
+}
+
+function memberWithId(members, memberId) {
+    return members.find(m => m.id === memberId) || null;
+}
+
+/**
+ * Effort each member carried in a week's rota, plus fair-share chores
+ * done that week before the rota had them, for whoever did them
+ */
+function loadsFromRota(rota = {}, done, members) {
+    const loads = {};
+    const credit = (memberId, effort) => { loads[memberId] = (loads[memberId] || 0) + effort; };
+    Object.values(rota).forEach(({ memberId, effort }) => credit(memberId, effort));
+    Object.entries(done).forEach(([key, { effort, byId }]) => {
+        const member = !rota[key] && memberWithId(members, byId);
+        if (member) credit(member.id, effort);
+    });
+    return loads;
+}
+
+/**
+ * Who a task for one person or taking turns falls to on a date
+ * @returns {Object|null} The member
+ */
+function fixedAssignee(task, date, members) {
+    const assignment = task.assignment;
+    const member = id => members.find(m => m.id === id) || null;
+
+    if (assignment.mode === 'person') return member(assignment.memberId);
+
+    if (assignment.mode === 'rotation') {
+        const ids = assignment.memberIds.filter(member);
+        if (ids.length === 0) return null;
+        // Later occurrences shown on the calendar move on through the rotation
+        const ahead = date > task.dueDate
+            ? getOccurrences(getTaskRule(task), task.dueDate, addDays(task.dueDate, 1), date).length
+            : 0;
+        return member(ids[((task.rotationIndex || 0) + ahead) % ids.length]);
+    }
+    return null;
+}
+
+/**
+ * Share a week's "fair share" chores out by effort. Each chore goes to
+ * whoever has the least effort so far, counting their own and rotation
+ * chores that week, and fair-share chores already done, and, as a
+ * tie-breaker, the last few weeks' rotas so a heavy week is made up for
+ * afterwards. What the week's rota already holds stays put, so it
+ * doesn't reshuffle as chores get done; chores added later are slotted
+ * in on top.
+ * @param {Object} rotas - Every week's rota so far, by week start
+ * @returns {Object} { 'taskId|date': { memberId, effort } }
+ */
+function buildFairRota(weekStart, rotas, tasks, members, history) {
+    const rota = { ...(rotas[weekStart] || {}) };
+    const weekEnd = addDays(weekStart, 6);
+
+    const weekLoads = Object.fromEntries(members.map(m => [m.id, 0]));
+    const pastLoads = Object.fromEntries(members.map(m => [m.id, 0]));
+    for (let i = 1; i <= BALANCE_WEEKS; i++) {
+        const week = addDays(weekStart, -7 * i);
+        const past = loadsFromRota(rotas[week], doneFairChores(tasks, history, week), members);
+        Object.keys(pastLoads).forEach(id => { pastLoads[id] += past[id] || 0; });
+    }
+
+    const done = doneFairChores(tasks, history, weekStart);
+    const fairOccurrences = Object.entries(done).map(([key, { effort }]) => ({ key, effort }));
+    tasks.forEach(task => {
+        getOccurrences(getTaskRule(task), task.dueDate, weekStart, weekEnd).forEach(date => {
+            if (isFair(task)) {
+                const key = `${task.id}|${date}`;
+                if (!done[key]) fairOccurrences.push({ key, effort: effortOf(task) });
+            } else if (task.assignment) {
+                const member = fixedAssignee(task, date, members);
+                if (member && member.id in weekLoads) weekLoads[member.id] += effortOf(task);
+            }
+        });
+    });
+
+    // Keep what was already shared out, dropping anyone who has since left
+    Object.entries(rota).forEach(([key, entry]) => {
+        if (entry.memberId in weekLoads && fairOccurrences.some(o => o.key === key)) {
+            weekLoads[entry.memberId] += entry.effort;
+        } else {
+            delete rota[key];
+        }
+    });
+
+    // Chores done before they were shared out are down to whoever did them
+    Object.entries(done).forEach(([key, { effort, byId }]) => {
+        const member = !rota[key] && memberWithId(members, byId);
+        if (member) {
+            rota[key] = { memberId: member.id, effort };
+            weekLoads[member.id] += effort;
+        }
+    });
+
+    fairOccurrences
+        .filter(o => !rota[o.key] && !done[o.key])
+        .sort((a, b) => b.effort - a.effort || a.key.localeCompare(b.key))
+        .forEach(({ key, effort }) => {
+            const [memberId] = Object.keys(weekLoads).sort((a, b) =>
+                weekLoads[a] - weekLoads[b] || pastLoads[a] - pastLoads[b]);
+            rota[key] = { memberId, effort };
+            weekLoads[memberId] += effort;
+        });
+    return rota;
+}
+
+/**
+ * Work out the fair-share rotas from a week to ROTA_WEEKS ahead and save
+ * them. Run whenever tasks, their completions or the household change,
+ * and when a page showing who does what opens, so reading an assignment
+ * never has to.
+ */
+export function updateFairRotas(from = getWeekStart()) {
+    const members = getMembers();
+    const tasks = allTasks().map(({ task }) => task);
+    if (members.length === 0 || !tasks.some(isFair)) return;
+
+    const history = getHistory();
+    const stored = getData('choreRotas') || {};
+    const rotas = { ...stored };
+    for (let i = 0; i < ROTA_WEEKS; i++) {
+        const weekStart = addDays(from, 7 * i);
+        const rota = buildFairRota(weekStart, rotas, tasks, members, history);
+        if (Object.keys(rota).length) rotas[weekStart] = rota;
+        else delete rotas[weekStart];
+    }
+    if (JSON.stringify(rotas) !== JSON.stringify(stored)) updateData('choreRotas', rotas);
+}
+
+/**
+ * A week's fair-share rota, as updateFairRotas last saved it
+ * @returns {Object} { 'taskId|date': { memberId, effort } }
+ */
+export function getFairRota(weekStart = getWeekStart()) {
+    return (getData('choreRotas') || {})[weekStart] || {};
+}
+
+/**
+ * Who a task falls to on a given date
+ * @returns {Object|null} The member, or null if it's nobody's in particular
+ */
+export function getAssignee(task, date = task.dueDate) {
+    if (!task.assignment) return null;
+    if (isFair(task)) {
+        const entry = getFairRota(getWeekStart(date))[`${task.id}|${date}`];
+        return entry ? getMember(entry.memberId) : null;
+    }
+    return fixedAssignee(task, date, getMembers());
+}
+
+/**
+ * Total effort each member has on in a week
+ * @returns {Object[]} [{ member, effort, tasks }]
+ */
+export function getWeekEffort(weekStart = getWeekStart()) {
+    const totals = Object.fromEntries(getMembers().map(m => [m.id, { member: m, effort: 0, tasks: 0 }]));
+    allTasks().forEach(({ task }) => {
+        getOccurrences(getTaskRule(task), task.dueDate, weekStart, addDays(weekStart, 6)).forEach(date => {
+            const member = getAssignee(task, date);
+            if (member && totals[member.id]) {
+                totals[member.id].effort += effortOf(task);
+                totals[member.id].tasks++;
+            }
+        });
+    });
+    return Object.values(totals);
+}
+
+/**
+ * Describe how a task is assigned, e.g. "Sam", "Takes turns" or "Fair share"
+ */
+export function describeAssignment(task) {
+    const assignment = task.assignment;
+    if (!assignment) return 'Anyone';
+    if (assignment.mode === 'person') return (getMember(assignment.memberId) || {}).name || 'Anyone';
+    if (assignment.mode === 'rotation') return 'Takes turns';
+    return 'Fair share';
+}
@@ -3,7 +3,14 @@
    Push notification handling
    ============================================ */
 
-import { getData, updateData } from './storage.js';
+import { getData, updateData, loadData } from './storage.js';
+import { checkReminders, saveSnapshot, REMINDER_SYNC_TAG } from './reminders.js';
+import { registerServiceWorker } from './pwa.js';
+
+const ICON_URL = new URL('../icons/icon-192.png', import.meta.url).href;
+
+// Shortest gap between background reminder checks the browser is asked for
+const CHECK_INTERVAL = 60 * 60 * 1000;
 
 /**
  * Check if notifications are supported
@@ -39,10 +46,11 @@ export async function requestPermission() {
             
             // Show test notification
             showNotification('Home Management Hub', {
-                body: 'Notifications enabled! You\'ll receive reminders for tasks and meals.',
-                icon: '🏠'
+                body: 'Notifications enabled! You\'ll receive reminders for tasks and meals.'
             });
-            
+
+            await registerReminderWorker();
+            await saveSnapshot(loadData());
             return true;
         }
         
@@ -62,8 +70,8 @@ export function showNotification(title, options = {}) {
     }
 
     const defaultOptions = {
-        icon: '🏠',
-        badge: '🏠',
+        icon: ICON_URL,
+        badge: ICON_URL,
         vibrate: [200, 100, 200],
         tag: 'home-management',
         renotify: false
@@ -113,73 +121,60 @@ export function scheduleTaskReminder(task) {
 }
 
 /**
- * Check for due tasks and send notifications
+ * Register the service worker, which also checks reminders in the background
+ * @returns {Promise<ServiceWorkerRegistration|null>}
  */
-export function checkDueTasks() {
-    const settings = getData('settings');
-    if (!settings.notificationsEnabled || !settings.notifyCleaning) return;
-
-    const cleaningTasks = getData('cleaningTasks') || [];
-    const maintenanceTasks = getData('maintenanceTasks') || [];
-    const allTasks = [...cleaningTasks, ...maintenanceTasks];
-
-    const today = new Date().toISOString().split('T')[0];
-    const dueTasks = allTasks.filter(task => 
-        !task.completed && task.dueDate === today
-    );
-
-    if (dueTasks.length > 0) {
-        showNotification(`${dueTasks.length} Task${dueTasks.length > 1 ? 's' : ''} Due Today`, {
-            body: dueTasks.map(t => t.name).join(', '),
-            tag: 'daily-tasks'
-        });
-    }
+export async function registerReminderWorker() {
+    const registration = await registerServiceWorker();
+    if (registration) await registerPeriodicSync(registration);
+    return registration;
 }
 
 /**
- * Remind about meal planning
+ * Ask to be woken up for reminders where the browser offers periodic
+ * background sync (an installed app in Chromium browsers). Elsewhere
+ * reminders are checked whenever the app is opened.
  */
-export function remindMealPlanning() {
-    const settings = getData('settings');
-    if (!settings.notificationsEnabled || !settings.notifyMeals) return;
-
-    const weeklyPlan = getData('weeklyPlan') || {};
-    const today = new Date();
-    const dayName = today.toLocaleDateString('en-US', { weekday: 'long' });
-
-    // Check if today's meals are planned
-    const todayMeals = weeklyPlan[dayName] || [];
-    
-    if (todayMeals.length === 0 && today.getHours() === 9) {
-        showNotification('Meal Planning Reminder', {
-            body: 'No meals planned for today. Time to plan!',
-            tag: 'meal-planning'
-        });
+async function registerPeriodicSync(registration) {
+    if (!('periodicSync' in registration)) return;
+    try {
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state === 'granted') {
+            await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: CHECK_INTERVAL });
+        }
+    } catch (error) {
+        console.warn('Periodic background sync unavailable:', error);
     }
 }
 
 /**
- * Remind about shopping
+ * Check for reminders now. The service worker does the check when there
+ * is one, so reminders already shown today aren't repeated whichever
+ * way they were raised; otherwise the page does it.
  */
-export function remindShopping() {
+export async function checkRemindersNow() {
     const settings = getData('settings');
-    if (!settings.notificationsEnabled || !settings.notifyShopping) return;
-
-    const shoppingList = getData('shoppingList') || [];
-    const uncheckedItems = shoppingList.filter(item => !item.checked);
-
-    if (uncheckedItems.length > 5) {
-        showNotification('Shopping Reminder', {
-            body: `You have ${uncheckedItems.length} items on your shopping list`,
-            tag: 'shopping'
-        });
+    if (!settings.notificationsEnabled || getPermissionStatus() !== 'granted') return;
+    try {
+        await saveSnapshot(loadData());
+        if ('serviceWorker' in navigator && await navigator.serviceWorker.getRegistration()) {
+            const registration = await navigator.serviceWorker.ready;
+            registration.active.postMessage({ type: 'check-reminders' });
+        } else {
+            await checkReminders(reminder => showNotification(reminder.title, {
+                body: reminder.body,
+                tag: reminder.tag
+            }), { data: loadData() });
+        }
+    } catch (error) {
+        console.error('Error checking reminders:', error);
     }
 }
 
 /**
  * Initialize notification system
  */
-export function initNotifications() {
+export async function initNotifications() {
     if (!isNotificationSupported()) {
         console.log('Notifications not supported');
         return;
@@ -187,11 +182,14 @@ export function initNotifications() {
 
     const settings = getData('settings');
     if (settings.notificationsEnabled && Notification.permission === 'granted') {
-        // Check for due tasks on page load
-        checkDueTasks();
+        await registerReminderWorker();
+        checkRemindersNow();
 
-        // Set up periodic checks (every hour)
-        setInterval(checkDueTasks, 60 * 60 * 1000);
+        // storage.js keeps the worker's copy of the data fresh as the app
+        // is used; check again whenever the app comes back into view
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') checkRemindersNow();
+        });
     }
 }
 
@@ -202,6 +200,8 @@ export function disableNotifications() {
     const data = getData('settings');
     data.notificationsEnabled = false;
     updateData('settings', data);
+    // The service worker works from its own copy, so tell it too
+    saveSnapshot(loadData()).catch(error => console.error('Error saving reminder data:', error));
 }
 
 // Initialize on load
@@ -0,0 +1,96 @@
+/* onboarding.js - First-Run Setup with Starter Chores & Recipes */
+import { getData, updateData } from './storage.js';
+import { getTodayISO, addDays, parseISODate, showSuccess } from './app.js';
+import { addTasks, getCleaningTasks, getMaintenanceTasks } from './tasks.js';
+import { addMeals } from './meals.js';
+import { WEEKDAY_NAMES } from './recurrence.js';
+
+const DEFAULT_TASKS_URL = new URL('../data/default-tasks.json', import.meta.url);
+const SAMPLE_MEALS_URL = new URL('../data/sample-meals.json', import.meta.url);
+
+// Friendlier names for the rooms used in default-tasks.json
+const ROOM_NAMES = {
+    living: 'Living room',
+    bathroom: 'Bathroom',
+    kitchen: 'Kitchen',
+    bedroom: 'Bedroom',
+    general: 'Whole house',
+    outdoor: 'Outdoor'
+};
+
+export function isOnboardingPending() {
+    return !!(getData('settings') || {}).onboardingPending;
+}
+
+export function finishOnboarding() {
+    const settings = getData('settings') || {};
+    updateData('settings', { ...settings, onboardingPending: false });
+}
+
+async function fetchJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Couldn't load ${url.pathname.split('/').pop()} (${response.status})`);
+    return response.json();
+}
+
+/**
+ * The chores and recipes a new household can start from
+ * @returns {Promise<Object>} { cleaning: [...], maintenance: [...], meals: [...] }
+ */
+export async function loadStarterData() {
+    const [tasks, meals] = await Promise.all([fetchJSON(DEFAULT_TASKS_URL), fetchJSON(SAMPLE_MEALS_URL)]);
+    return {
+        cleaning: tasks.cleaning || [],
+        maintenance: tasks.maintenance || [],
+        meals
+    };
+}
+
+/**
+ * Give starter tasks their first due dates. Daily chores start on the
+ * first day; everything else is dealt out one day at a time across the
+ * week so they don't all land at once. Weekly chores then stay on the
+ * weekday they were given.
+ * @param {Object[]} tasks - Entries from default-tasks.json
+ * @param {string} startDate - ISO date the week starts from
+ * @returns {Object[]} Task data ready for addTasks
+ */
+export function spreadDueDates(tasks, startDate = getTodayISO()) {
+    let next = 0;
+    return tasks.map(task => {
+        const dueDate = task.frequency === 'daily' ? startDate : addDays(startDate, next++ % 7);
+        return {
+            name: task.name,
+            room: ROOM_NAMES[task.room] || task.room || '',
+            frequency: task.frequency,
+            day: WEEKDAY_NAMES[parseISODate(dueDate).getDay()],
+            dueDate,
+            time: '',
+            notes: task.notes || ''
+        };
+    });
+}
+
+/**
+ * Import the chosen starter chores and recipes and mark setup done.
+ * Chores and recipes already saved under the same name are skipped.
+ * @param {Object} choices - { cleaning: [...], maintenance: [...], meals: [...] } picked from loadStarterData
+ * @param {string} startDate - When the chores should start
+ * @returns {Object} How many of each were added
+ */
+export function importStarterData({ cleaning = [], maintenance = [], meals = [] }, startDate = getTodayISO()) {
+    // Running setup again from Settings shouldn't double up chores already there
+    const isNew = existing => task => !existing.some(t => t.name.toLowerCase() === task.name.toLowerCase());
+    cleaning = cleaning.filter(isNew(getCleaningTasks()));
+    maintenance = maintenance.filter(isNew(getMaintenanceTasks()));
+    // Deal cleaning and maintenance out together so the week stays even
+    const spread = spreadDueDates([...cleaning, ...maintenance], startDate);
+    const added = {
+        cleaning: addTasks(spread.slice(0, cleaning.length), 'cleaning').length,
+        maintenance: addTasks(spread.slice(cleaning.length), 'maintenance').length,
+        meals: addMeals(meals).length
+    };
+    finishOnboarding();
+    showSuccess(`Added ${added.cleaning + added.maintenance} chores and ${added.meals} recipes`);
+    return added;
+}
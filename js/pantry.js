@@ -0,0 +1,139 @@
+/* pantry.js - Pantry / Household Stock */
+import { getData, updateData } from './storage.js';
+import { generateId, showSuccess, getTodayISO, addDays, parseISODate } from './app.js';
+
+export const PANTRY_LOCATIONS = ['fridge', 'freezer', 'cupboard'];
+
+export function getPantryItems() {
+    return getData('householdItems') || [];
+}
+
+/**
+ * Add stock to the pantry. Stock matching an existing item's name, unit,
+ * location and best-before date is topped up rather than listed twice.
+ */
+export function addPantryItem(itemData) {
+    const items = getPantryItems();
+    const name = itemData.name.trim();
+    const unit = itemData.unit || null;
+    const location = PANTRY_LOCATIONS.includes(itemData.location) ? itemData.location : 'cupboard';
+    const bestBefore = itemData.bestBefore || null;
+    const quantity = itemData.quantity === null || itemData.quantity === undefined || itemData.quantity === ''
+        ? null
+        : Number(itemData.quantity);
+
+    const existing = items.find(i =>
+        i.name.toLowerCase() === name.toLowerCase()
+        && i.unit === unit
+        && i.location === location
+        && i.bestBefore === bestBefore
+    );
+    if (existing) {
+        if (existing.quantity !== null && quantity !== null) existing.quantity += quantity;
+        updateData('householdItems', items);
+        showSuccess(`${existing.name} topped up in the pantry`);
+        return existing;
+    }
+
+    const newItem = {
+        id: generateId(),
+        name,
+        quantity,
+        unit,
+        location,
+        bestBefore,
+        addedDate: new Date().toISOString()
+    };
+    items.push(newItem);
+    updateData('householdItems', items);
+    showSuccess('Item added to pantry!');
+    return newItem;
+}
+
+export function updatePantryItem(itemId, updates) {
+    const items = getPantryItems();
+    const item = items.find(i => i.id === itemId);
+    if (item) {
+        Object.assign(item, updates);
+        updateData('householdItems', items);
+        return item;
+    }
+    return null;
+}
+
+export function removePantryItem(itemId) {
+    const items = getPantryItems();
+    const filtered = items.filter(i => i.id !== itemId);
+    updateData('householdItems', filtered);
+    showSuccess('Item removed from pantry');
+}
+
+/**
+ * Take some of an item out of the pantry, removing it once it runs out
+ * @returns {Object|null} The item left, or null if it's used up
+ */
+export function useFromPantry(itemId, amount) {
+    const items = getPantryItems();
+    const item = items.find(i => i.id === itemId);
+    if (!item) return null;
+    if (item.quantity !== null && amount < item.quantity) {
+        item.quantity = Math.round((item.quantity - amount) * 100) / 100;
+        updateData('householdItems', items);
+        return item;
+    }
+    updateData('householdItems', items.filter(i => i.id !== itemId));
+    return null;
+}
+
+export function getPantryByLocation() {
+    const grouped = Object.fromEntries(PANTRY_LOCATIONS.map(location => [location, []]));
+    getPantryItems().forEach(item => {
+        (grouped[item.location] || grouped.cupboard).push(item);
+    });
+    return grouped;
+}
+
+export function isExpired(item, today = getTodayISO()) {
+    return !!item.bestBefore && item.bestBefore < today;
+}
+
+/**
+ * Items going off within the warning window set in settings, soonest
+ * first. Anything already past its date is included so it gets noticed.
+ * @returns {Object[]} Pantry items with a daysLeft count (negative once expired)
+ */
+export function getExpiringItems(days = (getData('settings') || {}).expiryWarningDays ?? 3) {
+    const today = getTodayISO();
+    const cutoff = addDays(today, days);
+    return getPantryItems()
+        .filter(item => item.bestBefore && item.bestBefore <= cutoff)
+        .sort((a, b) => a.bestBefore.localeCompare(b.bestBefore))
+        .map(item => ({
+            ...item,
+            daysLeft: Math.round((parseISODate(item.bestBefore) - parseISODate(today)) / 86400000)
+        }));
+}
+
+/**
+ * Pantry stock in the shape aggregateIngredients() expects.
+ * Anything past its best-before date is left out.
+ */
+export function getStockForShopping() {
+    const today = getTodayISO();
+    return getPantryItems()
+        .filter(item => !isExpired(item, today))
+        .map(item => ({ item: item.name, quantity: item.quantity, unit: item.unit }));
+}
+
+/**
+ * Put a bought shopping line into the pantry
+ * @returns {Object} The pantry item it was added to
+ */
+export function addFromShoppingItem(shoppingItem, location = 'cupboard') {
+    return addPantryItem({
+        name: shoppingItem.name,
+        quantity: shoppingItem.quantity,
+        unit: shoppingItem.unit,
+        location
+    });
+}
@@ -1,57 +1,119 @@
-/* planner.js - Weekly Meal Planner */
+/* planner.js - Dated Meal Planner */
 import { getData, updateData } from './storage.js';
-import { showSuccess, getDayOfWeek } from './app.js';
+import { showSuccess, getTodayISO, getWeekStart, addDays, formatDate } from './app.js';
 
-const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+export const MEAL_SLOTS = ['Breakfast', 'Lunch', 'Dinner', 'Snack'];
 
-export function getWeeklyPlan() {
-    return getData('weeklyPlan') || {};
+export function getMealPlan() {
+    return getData('mealPlan') || {};
 }
 
-export function addMealToDay(day, mealId) {
-    const plan = getWeeklyPlan();
-    if (!plan[day]) plan[day] = [];
-    if (!plan[day].includes(mealId)) {
-        plan[day].push(mealId);
-        updateData('weeklyPlan', plan);
-        showSuccess(`Meal added to ${day}!`);
+export function getDayPlan(date) {
+    return getMealPlan()[date] || {};
+}
+
+export function getWeekDates(weekStart = getWeekStart()) {
+    return Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+}
+
+/**
+ * Default headcount for a newly planned meal
+ */
+export function getHouseholdSize() {
+    const settings = getData('settings') || {};
+    return Number(settings.householdSize) || 4;
+}
+
+export function addMealToDay(date, mealId, slot = 'Dinner', servings = getHouseholdSize()) {
+    const plan = getMealPlan();
+    if (!plan[date]) plan[date] = {};
+    const current = plan[date][slot];
+    if (!current || current.mealId !== mealId) {
+        plan[date][slot] = { mealId, servings };
+        updateData('mealPlan', plan);
+        showSuccess(`Meal added to ${formatDate(date)} ${slot.toLowerCase()}!`);
         return true;
     }
     return false;
 }
 
-export function removeMealFromDay(day, mealId) {
-    const plan = getWeeklyPlan();
-    if (plan[day]) {
-        plan[day] = plan[day].filter(id => id !== mealId);
-        updateData('weeklyPlan', plan);
+export function removeMealFromDay(date, slot) {
+    const plan = getMealPlan();
+    if (plan[date] && plan[date][slot]) {
+        delete plan[date][slot];
+        if (Object.keys(plan[date]).length === 0) delete plan[date];
+        updateData('mealPlan', plan);
         showSuccess('Meal removed');
         return true;
     }
     return false;
 }
 
-export function clearDay(day) {
-    const plan = getWeeklyPlan();
-    plan[day] = [];
-    updateData('weeklyPlan', plan);
-    showSuccess(`${day} cleared`);
+/**
+ * Change how many people a planned meal is for
+ */
+export function setSlotServings(date, slot, servings) {
+    const plan = getMealPlan();
+    const entry = plan[date] && plan[date][slot];
+    const count = Math.round(Number(servings));
+    if (!entry || !(count > 0)) return false;
+    entry.servings = count;
+    updateData('mealPlan', plan);
+    return true;
 }
 
-export function clearWeek() {
-    const plan = {};
-    DAYS.forEach(day => plan[day] = []);
-    updateData('weeklyPlan', plan);
+/**
+ * Factor to scale a recipe's ingredients by for a planned slot.
+ * Slots planned before headcounts existed cook the recipe as written.
+ */
+export function getServingsFactor(entry, meal) {
+    if (!entry || !entry.servings || !meal || !meal.servings) return 1;
+    return entry.servings / meal.servings;
+}
+
+export function clearDay(date) {
+    const plan = getMealPlan();
+    delete plan[date];
+    updateData('mealPlan', plan);
+    showSuccess(`${formatDate(date)} cleared`);
+}
+
+export function clearWeek(weekStart = getWeekStart()) {
+    const plan = getMealPlan();
+    getWeekDates(weekStart).forEach(date => delete plan[date]);
+    updateData('mealPlan', plan);
     showSuccess('Week cleared!');
 }
 
+/**
+ * Copy the previous week's plan into the week starting weekStart.
+ * Slots that are already planned are left alone.
+ */
+export function copyLastWeek(weekStart = getWeekStart()) {
+    const plan = getMealPlan();
+    let copied = 0;
+    getWeekDates(weekStart).forEach(date => {
+        const source = plan[addDays(date, -7)];
+        if (!source) return;
+        Object.entries(source).forEach(([slot, entry]) => {
+            if (!plan[date]) plan[date] = {};
+            if (plan[date][slot]) return;
+            plan[date][slot] = { ...entry };
+            copied++;
+        });
+    });
+    if (copied > 0) {
+        updateData('mealPlan', plan);
+        showSuccess(`Copied ${copied} meal${copied > 1 ? 's' : ''} from last week!`);
+    }
+    return copied;
+}
+
 export function getTodaysMeals() {
-    const today = getDayOfWeek();
-    const plan = getWeeklyPlan();
-    return plan[today] || [];
+    return getMealsForDay(getTodayISO());
 }
 
-export function getMealsForDay(day) {
-    const plan = getWeeklyPlan();
-    return plan[day] || [];
+export function getMealsForDay(date) {
+    const slots = getDayPlan(date);
+    return MEAL_SLOTS.filter(slot => slots[slot]).map(slot => slots[slot].mealId);
 }
@@ -0,0 +1,129 @@
+/* ============================================
+   PWA.JS - Installable, Offline App
+   Service worker registration and updates
+   ============================================ */
+
+const WORKER_URL = new URL('../sw.js', import.meta.url);
+
+let registering = null;
+
+/**
+ * Register the service worker that caches the app for offline use and
+ * checks reminders. Safe to call more than once.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+    if (!registering) {
+        registering = navigator.serviceWorker.register(WORKER_URL)
+            .then(registration => {
+                watchForUpdates(registration);
+                return registration;
+            })
+            .catch(error => {
+                console.error('Error registering service worker:', error);
+                registering = null;
+                return null;
+            });
+    }
+    return registering;
+}
+
+/**
+ * Offer to reload when a new version has been deployed. The new worker
+ * installs alongside the old one and waits; the page is only switched
+ * over when the user says so.
+ */
+function watchForUpdates(registration) {
+    // No controller means this is the first install, not an update
+    const hadController = !!navigator.serviceWorker.controller;
+
+    if (registration.waiting && hadController) showUpdatePrompt(registration.waiting);
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+        });
+    });
+
+    // Once the new version takes over (from this tab or another), reload
+    // so the page runs on the new files
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController || reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    // An installed app can stay open for days, so look again when it's reopened
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+}
+
+function showUpdatePrompt(worker) {
+    if (document.getElementById('update-prompt')) return;
+    addUpdateStyles();
+
+    const prompt = document.createElement('div');
+    prompt.id = 'update-prompt';
+    prompt.className = 'update-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.innerHTML = `
+        <span>A new version of Home Hub is available.</span>
+        <button type="button" class="update-reload">Update</button>
+        <button type="button" class="update-later" aria-label="Dismiss">Later</button>
+    `;
+    prompt.querySelector('.update-reload').addEventListener('click', () => {
+        prompt.querySelector('.update-reload').disabled = true;
+        worker.postMessage({ type: 'skip-waiting' });
+    });
+    prompt.querySelector('.update-later').addEventListener('click', () => prompt.remove());
+    document.body.appendChild(prompt);
+}
+
+function addUpdateStyles() {
+    if (document.getElementById('pwa-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'pwa-styles';
+    style.textContent = `
+        .update-prompt {
+            position: fixed;
+            left: 50%;
+            bottom: 20px;
+            transform: translateX(-50%);
+            z-index: 10001;
+            display: flex;
+            align-items: center;
+            gap: 0.6rem;
+            flex-wrap: wrap;
+            padding: 12px 16px;
+            border-radius: 8px;
+            background: #1e293b;
+            color: #f1f5f9;
+            border: 1px solid #667eea;
+            box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+            max-width: calc(100% - 40px);
+        }
+        .update-prompt button {
+            border: none;
+            border-radius: 6px;
+            padding: 6px 12px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        .update-prompt .update-reload { background: #667eea; color: white; }
+        .update-prompt .update-later { background: transparent; color: inherit; }
+    `;
+    document.head.appendChild(style);
+}
+
+/**
+ * Initialize offline support
+ */
+export function initPWA() {
+    return registerServiceWorker();
+}
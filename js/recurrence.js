@@ -0,0 +1,283 @@
+/* ============================================
+   RECURRENCE.JS - Repeating Task Schedules
+   Works out when a repeating task is next due
+   ============================================ */
+
+/*
+ * A rule looks like:
+ *   {
+ *     unit: 'day' | 'week' | 'month' | 'year',
+ *     interval: 2,                          // every 2 weeks
+ *     weekdays: [1, 4],                     // week rules: Mon and Thu (0 = Sunday)
+ *     nthWeekday: { nth: 2, weekday: 2 },   // month rules: 2nd Tuesday (nth -1 = last)
+ *     monthDay: 31,                         // month/year rules: day of the month to aim for
+ *     basis: 'due' | 'completion',          // count on from the due date or from when it was done
+ *     skipDates: ['2024-12-25']             // dates it doesn't happen on, e.g. a bin day moved for a holiday
+ *   }
+ * A task with no rule (null) happens once.
+ *
+ * Dates are local YYYY-MM-DD strings throughout. This module has no
+ * imports so storage.js can use it in migrations.
+ */
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const UNITS = ['day', 'week', 'month', 'year'];
+
+// The fixed choices older versions offered, as rules
+const FREQUENCY_RULES = {
+    daily: { unit: 'day', interval: 1 },
+    weekly: { unit: 'week', interval: 1 },
+    fortnightly: { unit: 'week', interval: 2 },
+    monthly: { unit: 'month', interval: 1 },
+    quarterly: { unit: 'month', interval: 3 },
+    yearly: { unit: 'year', interval: 1 }
+};
+
+// Longest run of occurrences we'll step through looking for a date
+const MAX_STEPS = 5000;
+
+function parseDate(isoDate) {
+    const [yyyy, mm, dd] = isoDate.split('-').map(Number);
+    return new Date(yyyy, mm - 1, dd);
+}
+
+function formatDate(date) {
+    const yyyy = date.getFullYear();
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const dd = String(date.getDate()).padStart(2, '0');
+    return `${yyyy}-${mm}-${dd}`;
+}
+
+function addDays(isoDate, days) {
+    const date = parseDate(isoDate);
+    date.setDate(date.getDate() + days);
+    return formatDate(date);
+}
+
+function daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+}
+
+// Monday = 0 ... Sunday = 6, so weeks run Monday to Sunday
+function mondayIndex(weekday) {
+    return (weekday + 6) % 7;
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseDate(to) - parseDate(from)) / 86400000);
+}
+
+function weekStartOf(isoDate) {
+    return addDays(isoDate, -mondayIndex(parseDate(isoDate).getDay()));
+}
+
+/**
+ * The nth given weekday of a month, e.g. the 2nd Tuesday. nth -1 is the last.
+ * A 5th that doesn't exist falls back to the last.
+ */
+function nthWeekdayOfMonth(year, month, nth, weekday) {
+    if (nth > 0) {
+        const first = new Date(year, month, 1).getDay();
+        const day = 1 + ((weekday - first + 7) % 7) + (nth - 1) * 7;
+        if (day <= daysInMonth(year, month)) return formatDate(new Date(year, month, day));
+    }
+    const lastDay = daysInMonth(year, month);
+    const last = new Date(year, month, lastDay).getDay();
+    return formatDate(new Date(year, month, lastDay - ((last - weekday + 7) % 7)));
+}
+
+/**
+ * Which occurrence of its weekday a date is in its month, e.g. 2 for the
+ * 2nd Tuesday. Dates in the last seven days count as -1 (the last).
+ */
+export function nthWeekdayOf(isoDate) {
+    const date = parseDate(isoDate);
+    if (date.getDate() + 7 > daysInMonth(date.getFullYear(), date.getMonth())) {
+        return { nth: -1, weekday: date.getDay() };
+    }
+    return { nth: Math.ceil(date.getDate() / 7), weekday: date.getDay() };
+}
+
+/**
+ * Tidy a rule, filling in defaults. Returns null for one-off tasks.
+ * Given the series' due date, a month or year rule kept to the schedule
+ * with no day to aim for takes that date's day, so it keeps to it.
+ */
+export function normaliseRule(rule, dueDate) {
+    if (!rule || !UNITS.includes(rule.unit)) return null;
+    const normalised = {
+        unit: rule.unit,
+        interval: Math.max(1, Math.round(Number(rule.interval)) || 1),
+        basis: rule.basis === 'completion' ? 'completion' : 'due'
+    };
+    if (rule.unit === 'week' && Array.isArray(rule.weekdays) && rule.weekdays.length) {
+        normalised.weekdays = [...new Set(rule.weekdays.map(Number))]
+            .filter(d => d >= 0 && d <= 6)
+            .sort((a, b) => mondayIndex(a) - mondayIndex(b));
+    }
+    if (rule.unit === 'month' && rule.nthWeekday) {
+        normalised.nthWeekday = {
+            nth: Number(rule.nthWeekday.nth) === -1 ? -1 : Math.min(5, Math.max(1, Number(rule.nthWeekday.nth) || 1)),
+            weekday: Number(rule.nthWeekday.weekday) || 0
+        };
+    } else if ((rule.unit === 'month' || rule.unit === 'year') && rule.monthDay) {
+        normalised.monthDay = Math.min(31, Math.max(1, Number(rule.monthDay)));
+    } else if ((rule.unit === 'month' || rule.unit === 'year') && dueDate && normalised.basis === 'due') {
+        normalised.monthDay = parseDate(dueDate).getDate();
+    }
+    if (Array.isArray(rule.skipDates)) {
+        const skipDates = [...new Set(rule.skipDates)].filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d)).sort();
+        if (skipDates.length) normalised.skipDates = skipDates;
+    }
+    return normalised;
+}
+
+/**
+ * Turn an old fixed frequency ('weekly', 'quarterly', ...) into a rule
+ * @param {string} frequency
+ * @param {Object} task - Supplies the weekday ('Monday') and due date the schedule follows
+ * @returns {Object|null} Rule, or null for one-off tasks
+ */
+export function ruleFromFrequency(frequency, { day, dueDate } = {}) {
+    const preset = FREQUENCY_RULES[frequency];
+    if (!preset) return null;
+    const rule = { ...preset, basis: 'due' };
+    const weekday = WEEKDAY_NAMES.indexOf(day);
+    if (rule.unit === 'week' && weekday !== -1) rule.weekdays = [weekday];
+    if ((rule.unit === 'month' || rule.unit === 'year') && dueDate) rule.monthDay = parseDate(dueDate).getDate();
+    return normaliseRule(rule);
+}
+
+/**
+ * The occurrence one period on from a date
+ */
+function advance(rule, isoDate) {
+    const date = parseDate(isoDate);
+
+    if (rule.unit === 'day') {
+        return addDays(isoDate, rule.interval);
+    }
+
+    if (rule.unit === 'week') {
+        if (!rule.weekdays) return addDays(isoDate, rule.interval * 7);
+        const today = mondayIndex(date.getDay());
+        const laterThisWeek = rule.weekdays.find(d => mondayIndex(d) > today);
+        if (laterThisWeek !== undefined) return addDays(isoDate, mondayIndex(laterThisWeek) - today);
+        const monday = addDays(isoDate, -today);
+        return addDays(monday, rule.interval * 7 + mondayIndex(rule.weekdays[0]));
+    }
+
+    // Months and years step by calendar month to the rule's day, so the
+    // 31st becomes the 28th in February and goes back to the 31st in
+    // March. With no day (counting from completion) it's the date's own.
+    const months = rule.unit === 'year' ? rule.interval * 12 : rule.interval;
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    if (rule.nthWeekday) {
+        return nthWeekdayOfMonth(target.getFullYear(), target.getMonth(), rule.nthWeekday.nth, rule.nthWeekday.weekday);
+    }
+    const day = Math.min(rule.monthDay || date.getDate(), daysInMonth(target.getFullYear(), target.getMonth()));
+    return formatDate(new Date(target.getFullYear(), target.getMonth(), day));
+}
+
+function isSkipped(rule, isoDate) {
+    return !!rule.skipDates && rule.skipDates.includes(isoDate);
+}
+
+/**
+ * The next occurrence after a date, passing over skipped dates
+ */
+function advancePastSkips(rule, isoDate) {
+    let next = advance(rule, isoDate);
+    while (isSkipped(rule, next)) next = advance(rule, next);
+    return next;
+}
+
+/**
+ * An occurrence no later than a date, reached in one go rather than a
+ * step at a time, to count on from. Day and week rules can run to
+ * thousands of occurrences over the years; months and years are stepped.
+ */
+function skipTowards(rule, dueDate, date) {
+    if (date <= dueDate || (rule.unit !== 'day' && rule.unit !== 'week')) return dueDate;
+    if (rule.unit === 'day' || !rule.weekdays) {
+        const period = rule.unit === 'day' ? rule.interval : rule.interval * 7;
+        return addDays(dueDate, Math.floor(daysBetween(dueDate, date) / period) * period);
+    }
+    // Weekday rules repeat in whole weeks from the due date's week, starting
+    // each time on the first of their weekdays
+    const firstWeek = weekStartOf(dueDate);
+    let weeks = Math.floor(daysBetween(firstWeek, weekStartOf(date)) / 7 / rule.interval) * rule.interval;
+    if (addDays(firstWeek, weeks * 7 + mondayIndex(rule.weekdays[0])) > date) weeks -= rule.interval;
+    return weeks > 0 ? addDays(firstWeek, weeks * 7 + mondayIndex(rule.weekdays[0])) : dueDate;
+}
+
+/**
+ * When a task is next due after being done
+ * @param {Object|null} rule - The task's recurrence rule
+ * @param {string} dueDate - When it was due
+ * @param {string} completedOn - When it was done
+ * @returns {string|null} Next due date, or null if it doesn't repeat
+ */
+export function getNextDueDate(rule, dueDate, completedOn) {
+    rule = normaliseRule(rule, dueDate);
+    if (!rule) return null;
+    if (rule.basis === 'completion' || !dueDate) return advancePastSkips(rule, completedOn);
+
+    // Stay on the schedule, skipping any occurrences missed while it was overdue
+    let next = advancePastSkips(rule, skipTowards(rule, dueDate, completedOn));
+    for (let steps = 0; next <= completedOn && steps < MAX_STEPS; steps++) {
+        next = advancePastSkips(rule, next);
+    }
+    return next;
+}
+
+/**
+ * Dates a task falls on between two dates (inclusive), counting on from
+ * its due date. Completion-based tasks can only be predicted as far as
+ * the next due date, so later dates assume it's done on time.
+ * @returns {string[]} ISO dates
+ */
+export function getOccurrences(rule, dueDate, from, to) {
+    if (!dueDate) return [];
+    rule = normaliseRule(rule, dueDate);
+    const dates = [];
+    let date = rule ? skipTowards(rule, dueDate, from) : dueDate;
+    for (let steps = 0; date <= to && steps < MAX_STEPS; steps++) {
+        if (date >= from && !(rule && isSkipped(rule, date))) dates.push(date);
+        if (!rule) break;
+        date = advance(rule, date);
+    }
+    return dates;
+}
+
+export function occursOn(rule, dueDate, date) {
+    return getOccurrences(rule, dueDate, date, date).length > 0;
+}
+
+function ordinal(n) {
+    if (n === -1) return 'last';
+    return `${n}${['th', 'st', 'nd', 'rd'][(n % 100 > 10 && n % 100 < 14) || n % 10 > 3 ? 0 : n % 10]}`;
+}
+
+/**
+ * A readable summary, e.g. "Every 2 weeks on Mon, Thu" or
+ * "Every month on the 2nd Tuesday"
+ */
+export function describeRule(rule) {
+    rule = normaliseRule(rule);
+    if (!rule) return 'Once';
+
+    let text = rule.interval === 1
+        ? { day: 'Daily', week: 'Weekly', month: 'Monthly', year: 'Yearly' }[rule.unit]
+        : `Every ${rule.interval} ${rule.unit}s`;
+    if (rule.weekdays) {
+        text += ` on ${rule.weekdays.map(d => WEEKDAY_NAMES[d].slice(0, 3)).join(', ')}`;
+    } else if (rule.nthWeekday) {
+        text += ` on the ${ordinal(rule.nthWeekday.nth)} ${WEEKDAY_NAMES[rule.nthWeekday.weekday]}`;
+    } else if (rule.monthDay && rule.unit === 'month') {
+        text += ` on the ${ordinal(rule.monthDay)}`;
+    }
+    if (rule.basis === 'completion') text += ' after it was last done';
+    return text;
+}
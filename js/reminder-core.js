@@ -0,0 +1,338 @@
+/* ============================================
+   REMINDER-CORE.JS - What to Remind About, and When
+   A classic script, so the service worker can
+   importScripts() it; pages use reminders.js
+   ============================================ */
+
+/*
+ * The service worker can't read localStorage, so pages copy the parts of
+ * the store reminders need into IndexedDB (saveSnapshot) and the worker
+ * works from that copy. This script has no DOM or localStorage use so it
+ * runs in both places. Everything it offers is on globalThis.HubReminders;
+ * the rest stays inside so it doesn't clash with the worker's own names.
+ */
+
+(function () {
+    'use strict';
+
+    // How far ahead a warranty ending counts as "soon"
+    const WARRANTY_WARNING_DAYS = 30;
+
+    // Below this many things still to buy there's no shopping nudge
+    const SHOPPING_REMINDER_ITEMS = 5;
+
+    /*
+     * Reminder preferences live in settings.reminders:
+     *   {
+     *     categories: { cleaning: { enabled, leadDays, time }, ... },
+     *     digest: false,          // bundle everything into one notification
+     *     digestTime: '08:00',
+     *     quiet: { enabled, start: '22:00', end: '07:00' }
+     *   }
+     * leadDays is how many days ahead to warn; time is the earliest time of
+     * day that category's reminder goes out.
+     */
+    const REMINDER_CATEGORIES = {
+        cleaning: { label: 'Cleaning', hasLead: true, url: 'pages/cleaning.html' },
+        maintenance: { label: 'Maintenance', hasLead: true, url: 'pages/maintenance.html' },
+        meals: { label: 'Meals', hasLead: false, url: 'pages/planner.html' },
+        planner: { label: 'Planner', hasLead: true, url: 'pages/planner.html' },
+        shopping: { label: 'Shopping', hasLead: false, url: 'pages/shopping.html' }
+    };
+
+    const DEFAULT_REMINDER_PREFS = {
+        categories: {
+            cleaning: { enabled: true, leadDays: 0, time: '08:00' },
+            maintenance: { enabled: true, leadDays: 2, time: '08:00' },
+            meals: { enabled: true, leadDays: 0, time: '09:00' },
+            planner: { enabled: true, leadDays: 2, time: '18:00' },
+            shopping: { enabled: true, leadDays: 0, time: '10:00' }
+        },
+        digest: false,
+        digestTime: '08:00',
+        quiet: { enabled: false, start: '22:00', end: '07:00' }
+    };
+
+    const MEAL_SLOTS = ['Breakfast', 'Lunch', 'Dinner', 'Snack'];
+
+    // Periodic background sync registration the service worker listens for
+    const REMINDER_SYNC_TAG = 'hub-reminders';
+
+    const DB_NAME = 'home-hub-reminders';
+    const STORE = 'state';
+
+    // Sections of the store the reminders look at
+    const SNAPSHOT_SECTIONS = ['settings', 'cleaningTasks', 'maintenanceTasks', 'mealPlan', 'shoppingList', 'assets'];
+
+    function toISODate(date) {
+        const yyyy = date.getFullYear();
+        const mm = String(date.getMonth() + 1).padStart(2, '0');
+        const dd = String(date.getDate()).padStart(2, '0');
+        return `${yyyy}-${mm}-${dd}`;
+    }
+
+    function addDays(isoDate, days) {
+        const [yyyy, mm, dd] = isoDate.split('-').map(Number);
+        return toISODate(new Date(yyyy, mm - 1, dd + days));
+    }
+
+    function minutesOf(time) {
+        const [hh, mm] = (time || '00:00').split(':').map(Number);
+        return hh * 60 + (mm || 0);
+    }
+
+    function daysBetween(from, to) {
+        const [fy, fm, fd] = from.split('-').map(Number);
+        const [ty, tm, td] = to.split('-').map(Number);
+        return Math.round((new Date(ty, tm - 1, td) - new Date(fy, fm - 1, fd)) / 86400000);
+    }
+
+    function plural(count, word) {
+        return `${count} ${word}${count === 1 ? '' : 's'}`;
+    }
+
+    /* ============================================
+       IndexedDB
+       ============================================ */
+
+    function openDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function dbGet(key) {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(STORE).objectStore(STORE).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async function dbSet(key, value) {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, 'readwrite');
+            tx.objectStore(STORE).put(value, key);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Copy what the reminders need out of the store for the service worker
+     * @param {Object} data - The whole store, as loadData() returns it
+     */
+    function saveSnapshot(data) {
+        const snapshot = Object.fromEntries(SNAPSHOT_SECTIONS.map(section => [section, data[section]]));
+        // Just the titles, not the photos, for saying what's for dinner
+        snapshot.meals = (data.meals || []).map(meal => ({ id: meal.id, title: meal.title }));
+        return dbSet('snapshot', { ...snapshot, savedAt: new Date().toISOString() });
+    }
+
+    function loadSnapshot() {
+        return dbGet('snapshot');
+    }
+
+    /* ============================================
+       Working out reminders
+       ============================================ */
+
+    /**
+     * Reminder preferences with anything missing filled in from the defaults
+     */
+    function getReminderPrefs(settings = {}) {
+        const prefs = settings.reminders || {};
+        const categories = Object.fromEntries(Object.keys(REMINDER_CATEGORIES).map(category => [category, {
+            ...DEFAULT_REMINDER_PREFS.categories[category],
+            ...((prefs.categories || {})[category] || {})
+        }]));
+        return {
+            ...DEFAULT_REMINDER_PREFS,
+            ...prefs,
+            categories,
+            quiet: { ...DEFAULT_REMINDER_PREFS.quiet, ...(prefs.quiet || {}) }
+        };
+    }
+
+    /**
+     * Whether a time falls in the quiet hours. Quiet hours can run over
+     * midnight, e.g. 22:00 to 07:00.
+     */
+    function isQuietTime(settings = {}, now = new Date()) {
+        const { quiet } = getReminderPrefs(settings);
+        if (!quiet.enabled) return false;
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const start = minutesOf(quiet.start);
+        const end = minutesOf(quiet.end);
+        if (start === end) return false;
+        return start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    function describeDue(dueDate, today) {
+        const days = daysBetween(today, dueDate);
+        if (days < 0) return 'overdue';
+        if (days === 0) return 'today';
+        if (days === 1) return 'tomorrow';
+        return `in ${plural(days, 'day')}`;
+    }
+
+    /**
+     * Everything worth a reminder right now
+     * @param {Object} data - Store or snapshot with the SNAPSHOT_SECTIONS
+     * @param {Date} now
+     * @returns {Object[]} [{ id, category, title, body, tag, url, once }];
+     *   once-only reminders (e.g. a warranty ending) aren't repeated on later days
+     */
+    function getReminders(data, now = new Date()) {
+        const settings = data.settings || {};
+        if (!settings.notificationsEnabled) return [];
+        const prefs = getReminderPrefs(settings);
+        const today = toISODate(now);
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const reminders = [];
+
+        // A category is ready once it's on and its time of day (or the digest's) has come
+        const ready = category => prefs.categories[category].enabled
+            && minutes >= minutesOf(prefs.digest ? prefs.digestTime : prefs.categories[category].time);
+        const add = (category, reminder) => reminders.push({
+            category,
+            tag: reminder.id,
+            url: REMINDER_CATEGORIES[category].url,
+            ...reminder
+        });
+
+        ['cleaning', 'maintenance'].forEach(category => {
+            if (!ready(category)) return;
+            const horizon = addDays(today, prefs.categories[category].leadDays);
+            const due = (data[`${category}Tasks`] || [])
+                .filter(task => !task.completed && task.dueDate && task.dueDate <= horizon)
+                .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+            if (due.length === 0) return;
+            add(category, {
+                id: `${category}-tasks`,
+                title: `${plural(due.length, `${REMINDER_CATEGORIES[category].label} Task`)} Due`,
+                body: due.map(t => `${t.name} (${describeDue(t.dueDate, today)})`).join(', ')
+            });
+        });
+
+        if (ready('maintenance')) {
+            (data.assets || [])
+                .filter(asset => asset.warrantyExpiry)
+                .map(asset => ({ asset, daysLeft: daysBetween(today, asset.warrantyExpiry) }))
+                .filter(({ daysLeft }) => daysLeft >= 0 && daysLeft <= WARRANTY_WARNING_DAYS)
+                .forEach(({ asset, daysLeft }) => {
+                    add('maintenance', {
+                        // Keyed on the expiry date so a renewed warranty is reminded about again
+                        id: `warranty-${asset.id}-${asset.warrantyExpiry}`,
+                        tag: `warranty-${asset.id}`,
+                        title: 'Warranty Ending Soon',
+                        body: `${asset.name} warranty ends ${daysLeft === 0 ? 'today' : `in ${plural(daysLeft, 'day')}`}`,
+                        once: true
+                    });
+                });
+        }
+
+        const mealPlan = data.mealPlan || {};
+        if (ready('meals')) {
+            const slots = mealPlan[today] || {};
+            const titles = Object.fromEntries((data.meals || []).map(meal => [meal.id, meal.title]));
+            const planned = MEAL_SLOTS.filter(slot => slots[slot] && titles[slots[slot].mealId]);
+            add('meals', planned.length
+                ? {
+                    id: 'meals-today',
+                    title: "Today's Meals",
+                    body: planned.map(slot => `${slot}: ${titles[slots[slot].mealId]}`).join(', ')
+                }
+                : {
+                    id: 'meals-today',
+                    title: 'Meal Planning Reminder',
+                    body: 'No meals planned for today. Time to plan!'
+                });
+        }
+
+        if (ready('planner')) {
+            // Weeks run Monday to Sunday; nudge in the days before next week starts
+            const daysToMonday = ((8 - now.getDay()) % 7) || 7;
+            const nextMonday = addDays(today, daysToMonday);
+            const nextWeek = Array.from({ length: 7 }, (_, i) => addDays(nextMonday, i));
+            const planned = nextWeek.some(date => Object.keys(mealPlan[date] || {}).length > 0);
+            if (!planned && daysToMonday <= prefs.categories.planner.leadDays) {
+                add('planner', {
+                    id: `planner-${nextMonday}`,
+                    tag: 'planner',
+                    title: 'Plan Next Week',
+                    body: `Nothing is planned for the week starting ${nextMonday} yet`
+                });
+            }
+        }
+
+        const toBuy = (data.shoppingList || []).filter(item => !item.checked);
+        if (ready('shopping') && toBuy.length > SHOPPING_REMINDER_ITEMS) {
+            add('shopping', {
+                id: 'shopping',
+                title: 'Shopping Reminder',
+                body: `You have ${toBuy.length} items on your shopping list`
+            });
+        }
+
+        return reminders;
+    }
+
+    /**
+     * Work out and show any reminders not already shown today, either one
+     * by one or bundled into a single digest. Nothing is shown in quiet
+     * hours; those reminders wait for the next check.
+     * @param {Function} show - Shows one notification, e.g. via registration.showNotification
+     * @param {Object} options - { data: store to use instead of the saved snapshot, now }
+     * @returns {Promise<Object[]>} The reminders covered
+     */
+    async function checkReminders(show, { data = null, now = new Date() } = {}) {
+        const source = data || await loadSnapshot();
+        if (!source || isQuietTime(source.settings, now)) return [];
+
+        const today = toISODate(now);
+        const shown = (await dbGet('shown')) || {};
+        const fresh = getReminders(source, now)
+            .filter(r => !(r.id in shown) || (!shown[r.id].once && shown[r.id].date !== today));
+
+        if (fresh.length && getReminderPrefs(source.settings).digest) {
+            await show({
+                id: 'digest',
+                title: `Home Hub: ${plural(fresh.length, 'reminder')}`,
+                body: fresh.map(r => `${r.title}: ${r.body}`).join('\n'),
+                tag: 'daily-digest',
+                url: 'index.html'
+            });
+        } else {
+            for (const reminder of fresh) {
+                await show(reminder);
+            }
+        }
+
+        // Remember today's and once-only reminders; anything older can go
+        const log = Object.fromEntries(Object.entries(shown).filter(([, entry]) => entry.once || entry.date === today));
+        fresh.forEach(r => { log[r.id] = { date: today, once: !!r.once }; });
+        await dbSet('shown', log);
+        return fresh;
+    }
+
+    globalThis.HubReminders = {
+        WARRANTY_WARNING_DAYS,
+        REMINDER_CATEGORIES,
+        DEFAULT_REMINDER_PREFS,
+        REMINDER_SYNC_TAG,
+        saveSnapshot,
+        loadSnapshot,
+        getReminderPrefs,
+        isQuietTime,
+        getReminders,
+        checkReminders
+    };
+})();
@@ -0,0 +1,25 @@
+/* ============================================
+   REMINDERS.JS - What to Remind About, and When
+   The pages' way in to reminder-core.js
+   ============================================ */
+
+/*
+ * The reminders themselves are worked out in reminder-core.js, a classic
+ * script so the service worker can load it without module support. This
+ * is the module the pages import it through.
+ */
+
+import './reminder-core.js';
+
+export const {
+    WARRANTY_WARNING_DAYS,
+    REMINDER_CATEGORIES,
+    DEFAULT_REMINDER_PREFS,
+    REMINDER_SYNC_TAG,
+    saveSnapshot,
+    loadSnapshot,
+    getReminderPrefs,
+    isQuietTime,
+    getReminders,
+    checkReminders
+} = globalThis.HubReminders;
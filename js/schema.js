@@ -0,0 +1,349 @@
+/* ============================================
+   SCHEMA.JS - Document Schemas
+   What a meal, task, shopping item and backup
+   look like, shared by the pages and server.js
+   ============================================ */
+
+/*
+ * The schemas are plain JSON Schema (draft-07), so other tools can check
+ * meal files and backups too. validate() understands the keywords used
+ * here: type, enum, required, properties, additionalProperties,
+ * patternProperties, items, minItems, minLength, minimum, maximum,
+ * pattern, format (date, date-time), allOf, anyOf and $ref between these
+ * schemas. This module has no imports so storage.js and the server can
+ * both use it.
+ */
+
+// Meal types, and the library folder each is kept in
+export const MEAL_FOLDERS = { breakfast: 'breakfast', lunch: 'lunch', dinner: 'dinner', snack: 'snacks' };
+
+export const TASK_FREQUENCIES = ['once', 'custom', 'daily', 'weekly', 'fortnightly', 'monthly', 'quarterly', 'yearly'];
+
+const text = { type: 'string' };
+const textList = { type: 'array', items: text };
+// Something worth showing, not just spaces
+const name = { type: 'string', pattern: '\\S' };
+const date = { type: 'string', format: 'date' };
+const timestamp = { type: 'string', format: 'date-time' };
+const weekday = { type: 'integer', minimum: 0, maximum: 6 };
+// A photo on the web, or one uploaded here (kept as a data URL)
+const imageUrl = '^(https?://|data:image/)';
+// A page on the web, the only kind of link the app will show
+export const WEB_ADDRESS = '^https?://';
+// The same, or left blank
+const optionalWebAddress = '^(https?://|$)';
+
+export const MEAL_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'meal.schema.json',
+    title: 'Meal',
+    description: 'A recipe, as it\'s added in the app and as library files under meals/ hold it',
+    type: 'object',
+    required: ['title', 'type', 'ingredients'],
+    properties: {
+        id: text,
+        // Library files are named after the title, so it needs a letter or number
+        title: { type: 'string', pattern: '[A-Za-z0-9]' },
+        type: { enum: Object.keys(MEAL_FOLDERS) },
+        dietary: textList,
+        ingredients: { type: 'array', minItems: 1, items: name },
+        mainIngredients: textList,
+        instructions: text,
+        servings: { type: 'integer', minimum: 1 },
+        image: { type: ['string', 'null'], pattern: imageUrl },
+        url: { type: 'string', pattern: optionalWebAddress },
+        emoji: text,
+        equipment: text,
+        time: { type: 'number', minimum: 0 },
+        calories: { type: ['number', 'null'], minimum: 0 },
+        favourite: { type: 'boolean' },
+        dateAdded: timestamp,
+        lastMade: { anyOf: [date, timestamp, { type: 'null' }] },
+        parsedIngredients: { type: 'array', items: { type: 'object' } }
+    }
+};
+
+// A meal as the app keeps it, which needn't be a full recipe: the old
+// dashboard list recorded just what was eaten, with no ingredients, and
+// titles there never become file names
+const storedMeal = {
+    type: 'object',
+    required: ['id', ...MEAL_SCHEMA.required],
+    properties: {
+        ...MEAL_SCHEMA.properties,
+        title: name,
+        ingredients: { type: 'array', items: name }
+    }
+};
+
+const RECURRENCE_SCHEMA = {
+    type: 'object',
+    required: ['unit'],
+    properties: {
+        unit: { enum: ['day', 'week', 'month', 'year'] },
+        interval: { type: 'integer', minimum: 1 },
+        weekdays: { type: 'array', items: weekday },
+        nthWeekday: {
+            type: 'object',
+            required: ['nth', 'weekday'],
+            properties: { nth: { type: 'integer', minimum: -1, maximum: 5 }, weekday }
+        },
+        monthDay: { type: 'integer', minimum: 1, maximum: 31 },
+        basis: { enum: ['due', 'completion'] },
+        skipDates: { type: 'array', items: date }
+    }
+};
+
+export const TASK_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'task.schema.json',
+    title: 'Task',
+    description: 'A cleaning or maintenance task',
+    type: 'object',
+    required: ['name', 'frequency'],
+    properties: {
+        id: text,
+        name,
+        room: text,
+        frequency: { enum: TASK_FREQUENCIES },
+        recurrence: { anyOf: [{ type: 'null' }, RECURRENCE_SCHEMA] },
+        dueDate: { anyOf: [date, { type: 'null' }] },
+        time: text,
+        notes: text,
+        completed: { type: 'boolean' },
+        lastCompleted: { anyOf: [date, timestamp, { type: 'null' }] },
+        createdDate: timestamp,
+        assignment: { type: ['object', 'null'] },
+        effort: { type: 'number', minimum: 0 },
+        assetId: { type: ['string', 'null'] }
+    }
+};
+
+export const SHOPPING_ITEM_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'shopping-item.schema.json',
+    title: 'Shopping item',
+    type: 'object',
+    required: ['name'],
+    properties: {
+        id: text,
+        name,
+        // null for "some", e.g. salt from a recipe
+        quantity: { type: ['number', 'null'], minimum: 0 },
+        unit: { type: ['string', 'null'] },
+        category: text,
+        price: { type: 'number', minimum: 0 },
+        aisle: text,
+        checked: { type: 'boolean' },
+        favourite: { type: 'boolean' },
+        addedDate: timestamp
+    }
+};
+
+const withId = ref => ({ allOf: [{ $ref: ref }, { required: ['id'] }] });
+const records = { type: 'array', items: { type: 'object' } };
+
+export const BACKUP_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'backup.schema.json',
+    title: 'Home Hub backup',
+    description: 'Everything in the app, as Export Backup saves it',
+    type: 'object',
+    required: ['schemaVersion', 'meals', 'mealPlan', 'shoppingList', 'cleaningTasks', 'maintenanceTasks', 'settings'],
+    properties: {
+        schemaVersion: { type: 'integer', minimum: 1 },
+        exportDate: timestamp,
+        meals: { type: 'array', items: storedMeal },
+        mealPlan: {
+            type: 'object',
+            patternProperties: {
+                '^\\d{4}-\\d{2}-\\d{2}$': {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['mealId'],
+                        properties: { mealId: text, servings: { type: 'number', minimum: 1 } }
+                    }
+                }
+            },
+            additionalProperties: false
+        },
+        shoppingList: { type: 'array', items: withId('shopping-item.schema.json') },
+        shoppingTrips: records,
+        householdItems: records,
+        cleaningTasks: { type: 'array', items: withId('task.schema.json') },
+        cleaningSupplies: textList,
+        maintenanceTasks: { type: 'array', items: withId('task.schema.json') },
+        assets: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { manualUrl: { type: 'string', pattern: optionalWebAddress } }
+            }
+        },
+        taskHistory: records,
+        members: records,
+        choreRotas: { type: 'object' },
+        settings: { type: 'object' }
+    }
+};
+
+export const SCHEMAS = Object.fromEntries([MEAL_SCHEMA, TASK_SCHEMA, SHOPPING_ITEM_SCHEMA, BACKUP_SCHEMA]
+    .map(schema => [schema.$id, schema]));
+
+/* ============================================
+   Validating
+   ============================================ */
+
+const TYPE_NAMES = {
+    string: 'text',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object',
+    null: 'empty'
+};
+
+// What a string failing each pattern is told; empty ones are just "required"
+const PATTERN_MESSAGES = {
+    '\\S': 'is required',
+    '[A-Za-z0-9]': 'needs a letter or number',
+    [imageUrl]: 'must be a web address (http:// or https://) or an uploaded photo',
+    [optionalWebAddress]: 'must be a web address (http:// or https://)'
+};
+
+const FORMATS = {
+    date: { test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)), name: 'a date (YYYY-MM-DD)' },
+    'date-time': { test: value => !isNaN(Date.parse(value)), name: 'a date and time' }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function hasType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function pathText(path) {
+    return path.reduce((out, key) => typeof key === 'number' ? `${out}[${key}]` : out ? `${out}.${key}` : key, '');
+}
+
+function check(schema, value, path, errors) {
+    if (schema.$ref) return check(SCHEMAS[schema.$ref], value, path, errors);
+    const fail = message => errors.push({ field: path.length ? String(path[0]) : '', path: pathText(path), message });
+
+    if (schema.allOf) schema.allOf.forEach(part => check(part, value, path, errors));
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map(part => {
+            const found = [];
+            check(part, value, path, found);
+            return found;
+        });
+        if (attempts.every(found => found.length)) {
+            // Report the option that came closest: the right type, with the fewest problems
+            const closest = attempts
+                .filter((found, i) => !schema.anyOf[i].type || [].concat(schema.anyOf[i].type).some(type => hasType(value, type)))
+                .sort((a, b) => a.length - b.length)[0];
+            if (closest) errors.push(...closest);
+            else fail(`must be ${schema.anyOf.map(part => part.format ? FORMATS[part.format].name : TYPE_NAMES[part.type]).join(' or ')}`);
+        }
+        return;
+    }
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => hasType(value, type))) {
+            fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(schema.minLength === 1 ? 'is required' : `must be at least ${schema.minLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(value.trim() ? PATTERN_MESSAGES[schema.pattern] || 'is not in the expected form' : 'is required');
+        if (schema.format && !FORMATS[schema.format].test(value)) fail(`must be ${FORMATS[schema.format].name}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        if (schema.items) value.forEach((item, i) => check(schema.items, item, [...path, i], errors));
+    }
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push({ field: path.length ? String(path[0]) : key, path: pathText([...path, key]), message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            if (item === undefined) return;
+            const patterned = Object.entries(schema.patternProperties || {}).filter(([pattern]) => new RegExp(pattern).test(key));
+            if (schema.properties && key in schema.properties) {
+                check(schema.properties[key], item, [...path, key], errors);
+            } else if (patterned.length) {
+                patterned.forEach(([, part]) => check(part, item, [...path, key], errors));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: path.length ? String(path[0]) : key, path: pathText([...path, key]), message: 'is not expected here' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, item, [...path, key], errors);
+            }
+        });
+    }
+}
+
+/**
+ * Check a document against one of the schemas
+ * @param {Object|string} schema - A schema, or its $id (e.g. 'meal.schema.json')
+ * @param {*} value
+ * @returns {Object[]} Problems as [{ field, path, message }], none if it's valid:
+ *   field is the top-level property a form shows the problem next to, path
+ *   the full one (e.g. "meals[3].title"), and message reads on from it
+ *   ("is required")
+ */
+export function validate(schema, value) {
+    const errors = [];
+    check(typeof schema === 'string' ? SCHEMAS[schema] : schema, value, [], errors);
+    return errors;
+}
+
+/**
+ * A problem as a sentence, e.g. "meals[3].title is required"
+ */
+export function describeError({ path, message }) {
+    return path ? `${path} ${message}` : `This ${message}`;
+}
+
+/* ============================================
+   Normalising
+   ============================================ */
+
+/**
+ * A meal in the canonical shape MEAL_SCHEMA describes. Older library files
+ * and backups use diet, photo, ing and fav for dietary, image, ingredients
+ * and favourite; those are renamed, the type lower-cased and servings made
+ * a number. Anything else is left as it is, so it can still fail validation.
+ */
+export function toCanonicalMeal(meal) {
+    if (!meal || typeof meal !== 'object' || Array.isArray(meal)) return meal;
+    const { diet, photo, ing, fav, ...rest } = meal;
+    const canonical = { ...rest };
+    if (canonical.dietary === undefined && diet !== undefined) canonical.dietary = diet;
+    if (canonical.image === undefined && photo !== undefined) canonical.image = photo || null;
+    if (canonical.image === '') canonical.image = null;
+    if (canonical.ingredients === undefined && ing !== undefined) canonical.ingredients = ing;
+    if (canonical.favourite === undefined && fav !== undefined) canonical.favourite = !!fav;
+    if (typeof canonical.type === 'string') canonical.type = canonical.type.toLowerCase();
+    if (typeof canonical.servings === 'string' && canonical.servings.trim() && Number.isInteger(Number(canonical.servings))) {
+        canonical.servings = Number(canonical.servings);
+    }
+    return canonical;
+}
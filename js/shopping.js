@@ -1,6 +1,10 @@
 /* shopping.js - Shopping List Management */
 import { getData, updateData } from './storage.js';
-import { generateId, showSuccess, formatPrice } from './app.js';
+import { generateId, showSuccess, formatPrice, getWeekStart, getTodayISO, addDays } from './app.js';
+import { getMealIngredients } from './meals.js';
+import { aggregateIngredients, scaleIngredient, formatIngredient } from './ingredients.js';
+import { getServingsFactor } from './planner.js';
+import { getStockForShopping, addFromShoppingItem, useFromPantry } from './pantry.js';
 
 export function getShoppingList() {
     return getData('shoppingList') || [];
@@ -20,17 +24,38 @@ export function addShoppingItem(itemData) {
     return newItem;
 }
 
-export function toggleItemChecked(itemId) {
+/**
+ * Tick an item off (or back on). With addToPantry, ticking puts what was
+ * bought into the pantry and unticking takes it back out again.
+ */
+export function toggleItemChecked(itemId, { addToPantry = false, location } = {}) {
     const list = getShoppingList();
     const item = list.find(i => i.id === itemId);
     if (item) {
         item.checked = !item.checked;
+        if (item.checked && addToPantry) {
+            item.pantryItemId = addFromShoppingItem(item, location).id;
+        } else if (!item.checked && item.pantryItemId) {
+            useFromPantry(item.pantryItemId, item.quantity ?? Infinity);
+            delete item.pantryItemId;
+        }
         updateData('shoppingList', list);
         return item.checked;
     }
     return false;
 }
 
+export function updateItem(itemId, updates) {
+    const list = getShoppingList();
+    const item = list.find(i => i.id === itemId);
+    if (item) {
+        Object.assign(item, updates);
+        updateData('shoppingList', list);
+        return item;
+    }
+    return null;
+}
+
 export function removeItem(itemId) {
     const list = getShoppingList();
     const filtered = list.filter(i => i.id !== itemId);
@@ -51,27 +76,102 @@ export function getTotalCost() {
     return list.filter(i => !i.checked).reduce((sum, item) => sum + (item.price || 0), 0);
 }
 
-export function generateFromMealPlan() {
-    const weeklyPlan = getData('weeklyPlan') || {};
+export function getCheckedCost() {
+    const list = getShoppingList();
+    return list.filter(i => i.checked).reduce((sum, item) => sum + (item.price || 0), 0);
+}
+
+export function getShoppingTrips() {
+    return getData('shoppingTrips') || [];
+}
+
+/**
+ * Record a finished shop: everything ticked off goes into a trip with
+ * its prices, and comes off the list.
+ * @param {Object} tripData - { store, total, date }; total defaults to the ticked items' prices
+ * @returns {Object|null} The trip, or null if nothing was ticked
+ */
+export function completeShoppingTrip({ store = '', total = null, date = getTodayISO() } = {}) {
+    const list = getShoppingList();
+    const bought = list.filter(i => i.checked);
+    if (bought.length === 0) return null;
+
+    const trip = {
+        id: generateId(),
+        date,
+        store: store.trim(),
+        total: total === null || total === '' ? getCheckedCost() : Math.round(Number(total) * 100) / 100,
+        items: bought.map(({ name, quantity, unit, price }) => ({ name, quantity, unit: unit || null, price: price || 0 }))
+    };
+    const trips = getShoppingTrips();
+    trips.push(trip);
+    updateData('shoppingTrips', trips);
+    updateData('shoppingList', list.filter(i => !i.checked));
+    showSuccess(`Trip saved: ${formatPrice(trip.total)}${trip.store ? ` at ${trip.store}` : ''}`);
+    return trip;
+}
+
+export function deleteShoppingTrip(tripId) {
+    updateData('shoppingTrips', getShoppingTrips().filter(t => t.id !== tripId));
+    showSuccess('Trip deleted');
+}
+
+/**
+ * Build the week's shopping from planned meals. Ingredients are merged
+ * across meals with their units normalised, and each line records the
+ * meals it came from, scaled to each slot's headcount, less whatever is
+ * already in the pantry. Regenerating replaces the unticked lines from the
+ * last run for that week; ticked ones stay, with their prices, and count
+ * as bought, and items added by hand are left alone.
+ */
+export function generateFromMealPlan(weekStart = getWeekStart()) {
+    const mealPlan = getData('mealPlan') || {};
     const meals = getData('meals') || [];
-    const currentList = getShoppingList();
     
-    const ingredients = new Set();
-    Object.values(weeklyPlan).forEach(dayMeals => {
-        dayMeals.forEach(mealId => {
-            const meal = meals.find(m => m.id === mealId);
-            if (meal) meal.ingredients.forEach(ing => ingredients.add(ing));
+    const entries = [];
+    for (let i = 0; i < 7; i++) {
+        const date = addDays(weekStart, i);
+        Object.entries(mealPlan[date] || {}).forEach(([slot, entry]) => {
+            const meal = meals.find(m => m.id === entry.mealId);
+            if (!meal) return;
+            const factor = getServingsFactor(entry, meal);
+            getMealIngredients(meal).forEach(ingredient => {
+                entries.push({
+                    ingredient: { ...scaleIngredient(ingredient, factor), text: formatIngredient(ingredient, factor) },
+                    source: { mealId: meal.id, title: meal.title, date, slot, servings: entry.servings || meal.servings }
+                });
+            });
         });
-    });
+    }
     
-    let added = 0;
-    ingredients.forEach(ing => {
-        if (!currentList.find(item => item.name.toLowerCase() === ing.toLowerCase())) {
-            addShoppingItem({ name: ing, quantity: '1', category: 'food', price: 0, aisle: '' });
-            added++;
-        }
+    const list = getShoppingList().filter(item => item.planWeek !== weekStart || item.checked);
+    // Ticked into the pantry, a line is already counted there
+    const bought = list
+        .filter(item => item.planWeek === weekStart && !item.pantryItemId)
+        .map(item => ({ item: item.name, quantity: item.quantity, unit: item.unit }));
+    const pantry = getStockForShopping();
+    const inPantry = new Set(aggregateIngredients(entries, pantry).filter(line => line.stocked).map(line => line.key));
+    const lines = aggregateIngredients(entries, [...pantry, ...bought]);
+    const needed = lines.filter(line => !line.covered);
+    needed.forEach(line => {
+        list.push({
+            id: generateId(),
+            name: line.item,
+            quantity: line.quantity,
+            unit: line.unit,
+            category: 'food',
+            price: 0,
+            aisle: '',
+            checked: false,
+            planWeek: weekStart,
+            sources: line.sources,
+            stocked: inPantry.has(line.key),
+            addedDate: new Date().toISOString()
+        });
     });
+    updateData('shoppingList', list);
     
-    showSuccess(`Added ${added} items from meal plan!`);
-    return added;
+    const covered = lines.length - needed.length;
+    showSuccess(`Added ${needed.length} items from meal plan!${covered ? ` ${covered} already in the pantry or ticked off.` : ''}`);
+    return needed.length;
 }
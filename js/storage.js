@@ -3,33 +3,585 @@
    Data Persistence with localStorage
    ============================================ */
 
+import { parseIngredients } from './ingredients.js';
+import { normaliseRule, ruleFromFrequency } from './recurrence.js';
+import { DEFAULT_REMINDER_PREFS, saveSnapshot } from './reminders.js';
+import { BACKUP_SCHEMA, MEAL_FOLDERS, TASK_FREQUENCIES, WEB_ADDRESS, validate, describeError, toCanonicalMeal } from './schema.js';
+
 const STORAGE_KEY = 'homeManagementData';
 
+// How long saves settle before the reminder worker's copy is rewritten
+const SNAPSHOT_DELAY = 500;
+
+// Bump whenever the stored shape changes and add a matching migration below
+const SCHEMA_VERSION = 9;
+
+// Keys written by older versions of the pages and dashboard
+const LEGACY_KEYS = [
+    'hubMeals',
+    'hubPlanner',
+    'hubShopping',
+    'hubCleaningTasks',
+    'hubCleaningEquipment',
+    'hubCleaning',
+    'hubMaintenance',
+    'hubSettings',
+    'hmhMealsList',
+    'hmhShoppingList',
+    'hmhCleaningCalendarTasks'
+];
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
 // Default data structure
 const defaultData = {
+    schemaVersion: SCHEMA_VERSION,
     meals: [],
-    weeklyPlan: {
-        Monday: [],
-        Tuesday: [],
-        Wednesday: [],
-        Thursday: [],
-        Friday: [],
-        Saturday: [],
-        Sunday: []
-    },
+    // Keyed by ISO date, then by meal slot: { '2024-01-01': { Dinner: { mealId } } }
+    mealPlan: {},
     shoppingList: [],
+    // Completed shopping trips: { id, date, store, total, items }
+    shoppingTrips: [],
     householdItems: [],
     cleaningTasks: [],
+    cleaningSupplies: [],
     maintenanceTasks: [],
+    // Things the house looks after: { id, name, make, model, warrantyExpiry, serviceLog: [...], ... }
+    assets: [],
+    // One entry per task completion: { taskId, taskType, dueDate, completedOn, daysLate, missed, by, note, ... }
+    taskHistory: [],
+    members: [],
+    // Fair-share chore rotas by week start: { '2024-01-01': { 'taskId|date': { memberId, effort } } }
+    choreRotas: {},
     settings: {
         notificationsEnabled: false,
-        notifyMeals: true,
-        notifyCleaning: true,
-        notifyShopping: true,
+        // Per-category reminder preferences, digest and quiet hours (see reminders.js)
+        reminders: DEFAULT_REMINDER_PREFS,
+        currency: 'GBP',
+        weeklyBudget: null,
+        householdSize: 4,
+        addCheckedToPantry: false,
+        expiryWarningDays: 3,
+        currentMemberId: null,
+        // Set on a brand new household until the welcome page has been through
+        onboardingPending: false,
+        darkMode: true,
+        accentColor: '#667eea',
         lastExport: null
     }
 };
 
+/**
+ * Create a fresh copy of the default data
+ * @returns {Object} Default data that is safe to mutate
+ */
+function createDefaultData() {
+    return JSON.parse(JSON.stringify(defaultData));
+}
+
+/**
+ * Fill in any sections missing from stored data
+ * @param {Object} data - Stored or imported data
+ * @returns {Object} Data with every section present
+ */
+function withDefaults(data) {
+    const defaults = createDefaultData();
+    return {
+        ...defaults,
+        ...data,
+        settings: { ...defaults.settings, ...data.settings }
+    };
+}
+
+/* ============================================
+   MIGRATIONS
+   ============================================ */
+
+function createId() {
+    return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+function toISODate(date) {
+    const yyyy = date.getFullYear();
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const dd = String(date.getDate()).padStart(2, '0');
+    return `${yyyy}-${mm}-${dd}`;
+}
+
+function weekdayOf(isoDate) {
+    const [yyyy, mm, dd] = isoDate.split('-').map(Number);
+    return WEEKDAYS[new Date(yyyy, mm - 1, dd).getDay()];
+}
+
+function nextDateForWeekday(day) {
+    const date = new Date();
+    const target = WEEKDAYS.indexOf(day);
+    if (target === -1) return toISODate(date);
+    date.setDate(date.getDate() + ((target - date.getDay() + 7) % 7));
+    return toISODate(date);
+}
+
+function slotForMealType(type) {
+    const slots = { breakfast: 'Breakfast', lunch: 'Lunch', snack: 'Snack', snacks: 'Snack' };
+    return slots[(type || '').toLowerCase()] || 'Dinner';
+}
+
+// The old pages saved meals with no type, or "Snacks"; the planner always
+// treated those as dinner and snack
+function mealTypeOf(type) {
+    const lower = String(type || '').toLowerCase();
+    if (lower === 'snacks') return 'snack';
+    return MEAL_FOLDERS[lower] ? lower : 'dinner';
+}
+
+// Frequencies were free text on the old pages ("Weekly"); one the app
+// doesn't know is weekly for a task with a day, else a one-off
+function frequencyOf(frequency, day) {
+    const lower = String(frequency || '').toLowerCase();
+    if (TASK_FREQUENCIES.includes(lower)) return lower;
+    return day ? 'weekly' : 'once';
+}
+
+function mergeById(existing, incoming) {
+    const ids = new Set(existing.map(item => item.id));
+    return existing.concat(incoming.filter(item => !ids.has(item.id)));
+}
+
+function mergeByName(existing, incoming) {
+    const names = new Set(existing.map(item => item.name.toLowerCase()));
+    return existing.concat(incoming.filter(item => !names.has(item.name.toLowerCase())));
+}
+
+function normaliseMeal(meal) {
+    const canonical = toCanonicalMeal(meal);
+    return {
+        ...canonical,
+        id: meal.id || createId(),
+        title: canonical.title || '',
+        type: mealTypeOf(canonical.type),
+        ingredients: canonical.ingredients || [],
+        mainIngredients: canonical.mainIngredients || [],
+        instructions: canonical.instructions || '',
+        dietary: canonical.dietary || [],
+        servings: Number(canonical.servings) || 4,
+        favourite: !!canonical.favourite,
+        image: canonical.image || null,
+        dateAdded: canonical.dateAdded || new Date().toISOString(),
+        lastMade: canonical.lastMade || null
+    };
+}
+
+function normaliseShoppingItem(item) {
+    if (typeof item === 'string') item = { name: item };
+    const { qty, fav, ...rest } = item;
+    return {
+        ...rest,
+        id: item.id || createId(),
+        name: item.name || '',
+        quantity: Number(item.quantity ?? qty) || 1,
+        category: item.category || 'food',
+        price: Number(item.price) || 0,
+        aisle: item.aisle || '',
+        checked: !!item.checked,
+        favourite: !!(item.favourite ?? fav),
+        addedDate: item.addedDate || new Date().toISOString()
+    };
+}
+
+function normaliseTask(task) {
+    const { desc, title, ...rest } = task;
+    const frequency = frequencyOf(task.frequency, task.day);
+    return {
+        ...rest,
+        id: task.id || createId(),
+        name: task.name || desc || title || '',
+        room: task.room || '',
+        frequency,
+        dueDate: task.dueDate || (task.day ? nextDateForWeekday(task.day) : null),
+        notes: task.notes || '',
+        completed: !!task.completed,
+        lastCompleted: task.lastCompleted || null,
+        createdDate: task.createdDate || new Date().toISOString()
+    };
+}
+
+/**
+ * v0 -> v1: weekly plan days become slot maps and every legacy
+ * per-page key is folded into the single store
+ * @param {Object} data - Unversioned data
+ * @param {Object} legacy - Legacy values keyed by their old storage key
+ * @returns {Object} Data in the v1 shape
+ */
+function migrateLegacyKeys(data, legacy) {
+    const migrated = withDefaults(data);
+    LEGACY_KEYS.forEach(key => delete migrated[key]);
+
+    let meals = (migrated.meals || []).map(normaliseMeal);
+    meals = mergeById(meals, (legacy.hubMeals || []).map(normaliseMeal));
+
+    // Older weekly plans held an array of meal IDs per day
+    const plan = {};
+    WEEKDAYS.forEach(day => plan[day] = {});
+    Object.entries(migrated.weeklyPlan || {}).forEach(([day, value]) => {
+        if (!Array.isArray(value)) {
+            plan[day] = { ...value };
+            return;
+        }
+        plan[day] = {};
+        value.forEach(mealId => {
+            const meal = meals.find(m => m.id === mealId);
+            plan[day][slotForMealType(meal && meal.type)] = mealId;
+        });
+    });
+
+    // hubPlanner was indexed Sunday-first with a copy of the meal in each slot
+    (legacy.hubPlanner || []).forEach((entry, idx) => {
+        const day = WEEKDAYS[idx];
+        if (!day || !entry || !entry.slots) return;
+        Object.entries(entry.slots).forEach(([slot, mealCopy]) => {
+            if (!mealCopy || !mealCopy.title) return;
+            let meal = meals.find(m => m.id === mealCopy.id);
+            if (!meal) {
+                meal = normaliseMeal(mealCopy);
+                meals.push(meal);
+            }
+            plan[day][slot] = meal.id;
+        });
+    });
+
+    // The dashboard's list recorded meal titles against dates
+    (legacy.hmhMealsList || []).forEach(entry => {
+        if (!entry || !entry.date || !entry.meal) return;
+        let meal = meals.find(m => m.title.toLowerCase() === String(entry.meal).toLowerCase());
+        if (!meal) {
+            meal = normaliseMeal({ title: String(entry.meal) });
+            meals.push(meal);
+        }
+        const day = weekdayOf(entry.date);
+        const slot = slotForMealType(meal.type);
+        if (!plan[day][slot]) plan[day][slot] = meal.id;
+    });
+
+    let shoppingList = (migrated.shoppingList || []).map(normaliseShoppingItem);
+    shoppingList = mergeByName(shoppingList, (legacy.hubShopping || []).map(normaliseShoppingItem));
+    shoppingList = mergeByName(shoppingList, (legacy.hmhShoppingList || []).map(normaliseShoppingItem));
+
+    let cleaningTasks = (migrated.cleaningTasks || []).map(normaliseTask);
+    cleaningTasks = mergeById(cleaningTasks, (legacy.hubCleaningTasks || []).map(normaliseTask));
+    cleaningTasks = mergeById(cleaningTasks, (legacy.hubCleaning || []).map(normaliseTask));
+    (legacy.hmhCleaningCalendarTasks || []).forEach(entry => {
+        if (!entry || !entry.date) return;
+        const calendarTasks = (entry.tasks || []).map(t => normaliseTask({
+            name: t.title,
+            frequency: 'once',
+            dueDate: entry.date,
+            day: weekdayOf(entry.date),
+            time: entry.part === 'AM' ? 'Morning' : 'Afternoon'
+        }));
+        cleaningTasks = cleaningTasks.concat(calendarTasks);
+    });
+
+    let maintenanceTasks = (migrated.maintenanceTasks || []).map(normaliseTask);
+    maintenanceTasks = mergeById(maintenanceTasks, (legacy.hubMaintenance || []).map(normaliseTask));
+
+    const cleaningSupplies = [...new Set([
+        ...(migrated.cleaningSupplies || []),
+        ...(legacy.hubCleaningEquipment || [])
+    ])];
+
+    const settings = { ...migrated.settings };
+    const hubSettings = legacy.hubSettings;
+    if (hubSettings) {
+        settings.notificationsEnabled = !!hubSettings.notifGeneral || settings.notificationsEnabled;
+        settings.notifyMeals = !!hubSettings.notifMeals;
+        settings.notifyPlanner = !!hubSettings.notifPlanner;
+        settings.notifyShopping = !!hubSettings.notifShopping;
+        settings.notifyCleaning = !!hubSettings.notifCleaning;
+        settings.notifyMaintenance = !!hubSettings.notifMaintenance;
+        if (hubSettings.currency) settings.currency = hubSettings.currency;
+        if (hubSettings.priceRange) settings.weeklyBudget = Number(hubSettings.priceRange) || null;
+        if (hubSettings.darkMode !== undefined) settings.darkMode = !!hubSettings.darkMode;
+        if (hubSettings.accentColor) settings.accentColor = hubSettings.accentColor;
+    }
+
+    return {
+        ...migrated,
+        meals,
+        weeklyPlan: plan,
+        shoppingList,
+        cleaningTasks,
+        maintenanceTasks,
+        cleaningSupplies,
+        settings
+    };
+}
+
+/**
+ * v1 -> v2: the single abstract week is pinned to the current
+ * Monday-to-Sunday week and the plan is keyed by ISO date
+ * @param {Object} data - v1 data
+ * @returns {Object} Data in the v2 shape
+ */
+function migrateToDatedPlan(data) {
+    const { weeklyPlan = {}, ...rest } = data;
+    const monday = new Date();
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+    const mealPlan = { ...rest.mealPlan };
+    WEEKDAYS.forEach(day => {
+        const slots = weeklyPlan[day] || {};
+        const date = new Date(monday);
+        date.setDate(monday.getDate() + ((WEEKDAYS.indexOf(day) + 6) % 7));
+
+        const entries = {};
+        Object.entries(slots).forEach(([slot, mealId]) => {
+            if (mealId) entries[slot] = { mealId };
+        });
+        if (Object.keys(entries).length > 0) {
+            mealPlan[toISODate(date)] = entries;
+        }
+    });
+
+    return { ...rest, mealPlan };
+}
+
+/**
+ * v2 -> v3: meals keep their ingredient text and gain a parsed
+ * { quantity, unit, item, preparation } form alongside it
+ * @param {Object} data - v2 data
+ * @returns {Object} Data in the v3 shape
+ */
+function migrateParsedIngredients(data) {
+    return {
+        ...data,
+        meals: (data.meals || []).map(meal => ({
+            ...meal,
+            parsedIngredients: parseIngredients(meal.ingredients)
+        }))
+    };
+}
+
+/**
+ * v3 -> v4: tasks gain a recurrence rule in place of the fixed
+ * daily/weekly/monthly/... frequency, which is kept as a label
+ * @param {Object} data - v3 data
+ * @returns {Object} Data in the v4 shape
+ */
+function migrateTaskRecurrence(data) {
+    const withRule = task => ('recurrence' in task
+        ? { ...task, recurrence: normaliseRule(task.recurrence) }
+        : { ...task, recurrence: ruleFromFrequency(task.frequency, task) });
+    return {
+        ...data,
+        cleaningTasks: (data.cleaningTasks || []).map(withRule),
+        maintenanceTasks: (data.maintenanceTasks || []).map(withRule)
+    };
+}
+
+/**
+ * v4 -> v5: the notifyMeals/notifyCleaning/... flags and quiet hours
+ * move into a single reminders preference object
+ * @param {Object} data - v4 data
+ * @returns {Object} Data in the v5 shape
+ */
+function migrateReminderPrefs(data) {
+    const {
+        notifyMeals, notifyPlanner, notifyShopping, notifyCleaning, notifyMaintenance,
+        quietHours, quietStart, quietEnd, ...settings
+    } = data.settings || {};
+    const flags = { meals: notifyMeals, planner: notifyPlanner, shopping: notifyShopping, cleaning: notifyCleaning, maintenance: notifyMaintenance };
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_REMINDER_PREFS));
+    Object.entries(flags).forEach(([category, enabled]) => {
+        if (enabled !== undefined) defaults.categories[category].enabled = !!enabled;
+    });
+    return {
+        ...data,
+        settings: {
+            ...settings,
+            reminders: {
+                ...defaults,
+                quiet: {
+                    enabled: !!quietHours,
+                    start: quietStart || defaults.quiet.start,
+                    end: quietEnd || defaults.quiet.end
+                }
+            }
+        }
+    };
+}
+
+/**
+ * v5 -> v6: meal types and task frequencies the old pages left untidy
+ * ("", "Snacks", "Weekly") become ones BACKUP_SCHEMA knows, so a backup
+ * of migrated data can be imported again. A task whose frequency wasn't
+ * recognised when it gained a rule gets the rule it should have had.
+ * @param {Object} data - v5 data
+ * @returns {Object} Data in the v6 shape
+ */
+function migrateToSchemaValues(data) {
+    const tidyTask = task => {
+        if (TASK_FREQUENCIES.includes(task.frequency)) return task;
+        const frequency = frequencyOf(task.frequency, task.day);
+        return {
+            ...task,
+            frequency,
+            recurrence: task.recurrence || ruleFromFrequency(frequency, task)
+        };
+    };
+    return {
+        ...data,
+        meals: (data.meals || []).map(meal => ({ ...meal, type: mealTypeOf(meal.type) })),
+        cleaningTasks: (data.cleaningTasks || []).map(tidyTask),
+        maintenanceTasks: (data.maintenanceTasks || []).map(tidyTask)
+    };
+}
+
+/**
+ * v6 -> v7: completions record who did them by member id as well as
+ * name, so renaming someone doesn't lose them their fair-share credit.
+ * Older entries get the id of the one member with that name, if there is one.
+ * @param {Object} data - v6 data
+ * @returns {Object} Data in the v7 shape
+ */
+function migrateHistoryMemberIds(data) {
+    const members = data.members || [];
+    const idFor = name => {
+        const named = members.filter(m => m.name === name);
+        return named.length === 1 ? named[0].id : null;
+    };
+    return {
+        ...data,
+        taskHistory: (data.taskHistory || []).map(entry => ({
+            ...entry,
+            byId: entry.byId || (entry.by ? idFor(entry.by) : null)
+        }))
+    };
+}
+
+/**
+ * v7 -> v8: asset manual links have to be web pages. Anything else
+ * (a javascript: link, say) is dropped rather than kept to be clicked.
+ * @param {Object} data - v7 data
+ * @returns {Object} Data in the v8 shape
+ */
+function migrateManualLinks(data) {
+    const webAddress = new RegExp(WEB_ADDRESS);
+    return {
+        ...data,
+        assets: (data.assets || []).map(asset => (
+            !asset.manualUrl || webAddress.test(asset.manualUrl) ? asset : { ...asset, manualUrl: '' }
+        ))
+    };
+}
+
+/**
+ * v8 -> v9: a meal's recipe link has to be a web page too, as it's shown
+ * as a link on the Meals page and shared through the library
+ * @param {Object} data - v8 data
+ * @returns {Object} Data in the v9 shape
+ */
+function migrateRecipeLinks(data) {
+    const webAddress = new RegExp(WEB_ADDRESS);
+    return {
+        ...data,
+        meals: (data.meals || []).map(meal => (
+            !meal.url || webAddress.test(meal.url) ? meal : { ...meal, url: '' }
+        ))
+    };
+}
+
+// Migrations keyed by the schema version they upgrade from
+const migrations = {
+    0: migrateLegacyKeys,
+    1: migrateToDatedPlan,
+    2: migrateParsedIngredients,
+    3: migrateTaskRecurrence,
+    4: migrateReminderPrefs,
+    5: migrateToSchemaValues,
+    6: migrateHistoryMemberIds,
+    7: migrateManualLinks,
+    8: migrateRecipeLinks
+};
+
+/**
+ * Run every migration needed to bring data up to the current schema
+ * @param {Object} data - Stored or imported data
+ * @param {Object} legacy - Legacy values keyed by their old storage key
+ * @returns {Object} Data at SCHEMA_VERSION
+ */
+export function migrateData(data, legacy = {}) {
+    let migrated = { ...data };
+    let version = migrated.schemaVersion || 0;
+
+    while (version < SCHEMA_VERSION) {
+        migrated = migrations[version](migrated, legacy);
+        version += 1;
+        migrated.schemaVersion = version;
+    }
+
+    return withDefaults(migrated);
+}
+
+/**
+ * Fold legacy keys into data that's already been migrated, as a page from
+ * an older version left open can still write them. What's there already
+ * wins: meals and tasks are matched by id (meals by title too), shopping
+ * by name, and the plan only gains slots that are empty.
+ * @param {Object} data - Data at SCHEMA_VERSION
+ * @param {Object} legacy - Legacy values keyed by their old storage key
+ * @returns {Object} Data at SCHEMA_VERSION
+ */
+function mergeLegacyKeys(data, legacy) {
+    const fromLegacy = migrateData({ schemaVersion: 0 }, legacy);
+
+    const meals = [...data.meals];
+    // Legacy meal id -> the id of the same meal already here
+    const sameMeal = {};
+    fromLegacy.meals.forEach(meal => {
+        const title = meal.title.toLowerCase();
+        const match = meals.find(m => m.id === meal.id || m.title.toLowerCase() === title);
+        if (match) sameMeal[meal.id] = match.id;
+        else meals.push(meal);
+    });
+
+    const mealPlan = { ...data.mealPlan };
+    Object.entries(fromLegacy.mealPlan).forEach(([date, slots]) => {
+        const day = { ...mealPlan[date] };
+        Object.entries(slots).forEach(([slot, entry]) => {
+            if (!day[slot]) day[slot] = { ...entry, mealId: sameMeal[entry.mealId] || entry.mealId };
+        });
+        mealPlan[date] = day;
+    });
+
+    return withDefaults({
+        ...data,
+        meals,
+        mealPlan,
+        shoppingList: mergeByName(data.shoppingList, fromLegacy.shoppingList),
+        cleaningTasks: mergeById(data.cleaningTasks, fromLegacy.cleaningTasks),
+        maintenanceTasks: mergeById(data.maintenanceTasks, fromLegacy.maintenanceTasks),
+        cleaningSupplies: [...new Set([...(data.cleaningSupplies || []), ...fromLegacy.cleaningSupplies])]
+    });
+}
+
+/**
+ * Read any legacy keys still present in localStorage
+ * @returns {Object} Parsed legacy values keyed by storage key
+ */
+function readLegacyKeys() {
+    const legacy = {};
+    LEGACY_KEYS.forEach(key => {
+        const stored = localStorage.getItem(key);
+        if (stored === null) return;
+        try {
+            legacy[key] = JSON.parse(stored);
+        } catch (error) {
+            console.warn(`Skipping unreadable legacy key ${key}:`, error);
+        }
+    });
+    return legacy;
+}
+
 /**
  * Load all data from localStorage
  * @returns {Object} The data object
@@ -38,19 +590,13 @@ export function loadData() {
     try {
         const stored = localStorage.getItem(STORAGE_KEY);
         if (stored) {
-            const data = JSON.parse(stored);
             // Merge with defaults to ensure all properties exist
-            return {
-                ...defaultData,
-                ...data,
-                weeklyPlan: { ...defaultData.weeklyPlan, ...data.weeklyPlan },
-                settings: { ...defaultData.settings, ...data.settings }
-            };
+            return withDefaults(JSON.parse(stored));
         }
-        return { ...defaultData };
+        return createDefaultData();
     } catch (error) {
         console.error('Error loading data:', error);
-        return { ...defaultData };
+        return createDefaultData();
     }
 }
 
@@ -62,6 +608,7 @@ export function loadData() {
 export function saveData(data) {
     try {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+        queueSnapshot();
         return true;
     } catch (error) {
         console.error('Error saving data:', error);
@@ -74,6 +621,31 @@ export function saveData(data) {
     }
 }
 
+let snapshotTimer = null;
+
+function writeSnapshot() {
+    clearTimeout(snapshotTimer);
+    snapshotTimer = null;
+    saveSnapshot(loadData()).catch(error => console.error('Error saving reminder data:', error));
+}
+
+// Leaving the page doesn't wait for the timer
+function flushSnapshot() {
+    if (snapshotTimer !== null) writeSnapshot();
+}
+
+/**
+ * Rewrite the service worker's copy of the data once a burst of saves is
+ * over, so background reminders follow changes made on any page, even one
+ * that's closed straight afterwards
+ */
+function queueSnapshot() {
+    if (typeof indexedDB === 'undefined') return;
+    window.addEventListener('pagehide', flushSnapshot);
+    clearTimeout(snapshotTimer);
+    snapshotTimer = setTimeout(writeSnapshot, SNAPSHOT_DELAY);
+}
+
 /**
  * Get specific data section
  * @param {string} section - Section name (meals, shoppingList, etc.)
@@ -129,9 +701,11 @@ export function exportData() {
 }
 
 /**
- * Import data from JSON file
+ * Import data from JSON file. Older backups are migrated first, then the
+ * result has to match BACKUP_SCHEMA before anything is saved.
  * @param {File} file - The file to import
- * @returns {Promise<boolean>} Success status
+ * @returns {Promise<boolean>} Success status; rejects with an Error whose
+ *   details are validate()'s problems if the backup doesn't match
  */
 export function importData(file) {
     return new Promise((resolve, reject) => {
@@ -142,17 +716,18 @@ export function importData(file) {
                 const importedData = JSON.parse(e.target.result);
                 
                 // Validate imported data structure
-                if (!importedData || typeof importedData !== 'object') {
+                if (!importedData || typeof importedData !== 'object' || Array.isArray(importedData)) {
                     throw new Error('Invalid data format');
                 }
                 
-                // Merge with defaults to ensure all properties exist
-                const mergedData = {
-                    ...defaultData,
-                    ...importedData,
-                    weeklyPlan: { ...defaultData.weeklyPlan, ...importedData.weeklyPlan },
-                    settings: { ...defaultData.settings, ...importedData.settings }
-                };
+                // Older backups may be unversioned or hold the legacy per-page keys
+                const mergedData = migrateData(importedData, importedData);
+                const errors = validate(BACKUP_SCHEMA, mergedData);
+                if (errors.length) {
+                    const error = new Error(`This backup doesn't look right: ${errors.slice(0, 3).map(describeError).join('; ')}`);
+                    error.details = errors;
+                    throw error;
+                }
                 
                 if (saveData(mergedData)) {
                     resolve(true);
@@ -190,6 +765,7 @@ export function clearAllData(confirmed = false) {
     
     try {
         localStorage.removeItem(STORAGE_KEY);
+        LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
         return true;
     } catch (error) {
         console.error('Error clearing data:', error);
@@ -221,9 +797,14 @@ export function getStorageInfo() {
             itemCounts: {
                 meals: data.meals.length,
                 shoppingItems: data.shoppingList.length,
+                shoppingTrips: data.shoppingTrips.length,
                 householdItems: data.householdItems.length,
                 cleaningTasks: data.cleaningTasks.length,
-                maintenanceTasks: data.maintenanceTasks.length
+                cleaningSupplies: data.cleaningSupplies.length,
+                maintenanceTasks: data.maintenanceTasks.length,
+                assets: data.assets.length,
+                taskHistory: data.taskHistory.length,
+                members: data.members.length
             }
         };
     } catch (error) {
@@ -249,24 +830,51 @@ export function isStorageAvailable() {
 
 /**
  * Initialize storage (run on app start)
+ * Migrates older data and folds in any legacy per-page keys
  * @returns {Object} Initial data
  */
 export function initStorage() {
     if (!isStorageAvailable()) {
         console.warn('localStorage is not available');
-        return defaultData;
+        return createDefaultData();
     }
     
-    const data = loadData();
+    const stored = localStorage.getItem(STORAGE_KEY);
+    const legacy = readLegacyKeys();
+    const hasLegacy = Object.keys(legacy).length > 0;
     
     // If no data exists, save defaults
-    if (!localStorage.getItem(STORAGE_KEY)) {
-        saveData(defaultData);
-        return defaultData;
+    if (!stored && !hasLegacy) {
+        const data = createDefaultData();
+        data.settings.onboardingPending = true;
+        saveData(data);
+        return data;
+    }
+    
+    let data;
+    try {
+        data = stored ? JSON.parse(stored) : { schemaVersion: 0 };
+    } catch (error) {
+        console.error('Error reading stored data:', error);
+        return loadData();
+    }
+    
+    const version = data.schemaVersion || 0;
+    if (version >= SCHEMA_VERSION && !hasLegacy) {
+        return withDefaults(data);
+    }
+    
+    let migrated = version >= SCHEMA_VERSION ? withDefaults(data) : migrateData(data, legacy);
+    // Only unversioned data takes in the legacy keys as it's migrated
+    if (hasLegacy && version > 0) migrated = mergeLegacyKeys(migrated, legacy);
+    
+    // Only drop the old keys once their contents are safely saved
+    if (saveData(migrated)) {
+        Object.keys(legacy).forEach(key => localStorage.removeItem(key));
     }
     
-    return data;
+    return migrated;
 }
 
 // Export storage key for direct access if needed
-export { STORAGE_KEY };
+export { STORAGE_KEY, SCHEMA_VERSION };
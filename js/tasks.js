@@ -1,6 +1,9 @@
 /* tasks.js - Cleaning & Maintenance Tasks */
 import { getData, updateData } from './storage.js';
 import { generateId, showSuccess, getTodayISO } from './app.js';
+import { getNextDueDate, occursOn, ruleFromFrequency, normaliseRule } from './recurrence.js';
+import { logCompletion, removeLastCompletion, getTaskStats } from './history.js';
+import { updateFairRotas } from './members.js';
 
 export function getCleaningTasks() {
     return getData('cleaningTasks') || [];
@@ -10,34 +13,83 @@ export function getMaintenanceTasks() {
     return getData('maintenanceTasks') || [];
 }
 
-export function addTask(taskData, type = 'cleaning') {
-    const tasks = type === 'cleaning' ? getCleaningTasks() : getMaintenanceTasks();
-    const newTask = {
+function createTask(taskData) {
+    return {
         id: generateId(),
         ...taskData,
+        recurrence: 'recurrence' in taskData
+            ? normaliseRule(taskData.recurrence, taskData.dueDate)
+            : ruleFromFrequency(taskData.frequency, taskData),
         completed: false,
         lastCompleted: null,
         createdDate: new Date().toISOString()
     };
+}
+
+export function addTask(taskData, type = 'cleaning') {
+    const tasks = type === 'cleaning' ? getCleaningTasks() : getMaintenanceTasks();
+    const newTask = createTask(taskData);
     tasks.push(newTask);
     updateData(type === 'cleaning' ? 'cleaningTasks' : 'maintenanceTasks', tasks);
+    updateFairRotas();
     showSuccess('Task added!');
     return newTask;
 }
 
-export function toggleTaskComplete(taskId, type = 'cleaning') {
+/**
+ * Add several tasks in one go, e.g. when setting up a new household
+ * @returns {Object[]} The new tasks
+ */
+export function addTasks(tasksData, type = 'cleaning') {
+    const newTasks = tasksData.map(createTask);
+    const tasks = [...(type === 'cleaning' ? getCleaningTasks() : getMaintenanceTasks()), ...newTasks];
+    updateData(type === 'cleaning' ? 'cleaningTasks' : 'maintenanceTasks', tasks);
+    updateFairRotas();
+    return newTasks;
+}
+
+/**
+ * Mark a task done (or, for a one-off, not done again). Every completion
+ * is logged to the task history.
+ * @param {Object} details - Optional { by, note } for the history
+ */
+export function toggleTaskComplete(taskId, type = 'cleaning', details = {}) {
     const tasks = type === 'cleaning' ? getCleaningTasks() : getMaintenanceTasks();
     const task = tasks.find(t => t.id === taskId);
     if (task) {
         task.completed = !task.completed;
         if (task.completed) {
+            const today = getTodayISO();
+            // Hold a monthly rule to its day before the due date moves on
+            if (task.recurrence) task.recurrence = normaliseRule(task.recurrence, task.dueDate);
+            logCompletion(task, type, { ...details, completedOn: today, rule: getTaskRule(task) });
             task.lastCompleted = new Date().toISOString();
-            if (task.frequency !== 'once') {
-                task.dueDate = calculateNextDueDate(task.dueDate, task.frequency);
+            const nextDue = getNextDueDate(getTaskRule(task), task.dueDate, today);
+            if (nextDue) {
+                task.dueDate = nextDue;
                 task.completed = false;
+                // Hand a rotating chore on to the next person
+                if (task.assignment && task.assignment.mode === 'rotation') {
+                    task.rotationIndex = (task.rotationIndex || 0) + 1;
+                }
             }
+        } else {
+            removeLastCompletion(task.id);
         }
         updateData(type === 'cleaning' ? 'cleaningTasks' : 'maintenanceTasks', tasks);
+        updateFairRotas();
+        return task;
+    }
+    return null;
+}
+
+export function updateTask(taskId, updates, type = 'cleaning') {
+    const tasks = type === 'cleaning' ? getCleaningTasks() : getMaintenanceTasks();
+    const task = tasks.find(t => t.id === taskId);
+    if (task) {
+        Object.assign(task, updates);
+        updateData(type === 'cleaning' ? 'cleaningTasks' : 'maintenanceTasks', tasks);
+        updateFairRotas();
         return task;
     }
     return null;
@@ -47,17 +99,16 @@ export function deleteTask(taskId, type = 'cleaning') {
     const tasks = type === 'cleaning' ? getCleaningTasks() : getMaintenanceTasks();
     const filtered = tasks.filter(t => t.id !== taskId);
     updateData(type === 'cleaning' ? 'cleaningTasks' : 'maintenanceTasks', filtered);
+    updateFairRotas();
     showSuccess('Task deleted');
 }
 
-function calculateNextDueDate(currentDate, frequency) {
-    const date = new Date(currentDate);
-    const freq = {
-        daily: 1, weekly: 7, fortnightly: 14, monthly: 30, 
-        quarterly: 90, yearly: 365
-    };
-    date.setDate(date.getDate() + (freq[frequency] || 7));
-    return date.toISOString().split('T')[0];
+/**
+ * A task's recurrence rule; tasks saved before rules existed fall back
+ * to their fixed frequency
+ */
+export function getTaskRule(task) {
+    return 'recurrence' in task ? task.recurrence : ruleFromFrequency(task.frequency, task);
 }
 
 export function getDueTasks(type = 'cleaning') {
@@ -65,3 +116,17 @@ export function getDueTasks(type = 'cleaning') {
     const today = getTodayISO();
     return tasks.filter(t => !t.completed && t.dueDate && t.dueDate <= today);
 }
+
+export function getTasksForDate(date, type = 'cleaning') {
+    const tasks = type === 'cleaning' ? getCleaningTasks() : getMaintenanceTasks();
+    return tasks.filter(t => occursOn(getTaskRule(t), t.dueDate, date));
+}
+
+/**
+ * Completion rates, lateness and streaks for a type of task
+ * @param {Object} options - { since: ISO date to count from }
+ */
+export function getCompletionStats(type = 'cleaning', options = {}) {
+    const tasks = type === 'cleaning' ? getCleaningTasks() : getMaintenanceTasks();
+    return getTaskStats(tasks, type, { ...options, getRule: getTaskRule });
+}
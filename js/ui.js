@@ -199,6 +199,67 @@ function showValidationErrors(errors) {
     alert(message);
 }
 
+// A schema problem worded for showing under its field: "Required", "Item 2 is required"
+function fieldMessage({ field, path, message }) {
+    const within = path.slice(field.length).replace(/^\./, '').replace(/\[(\d+)\]\.?/g, (match, i) => `item ${Number(i) + 1} `).trim();
+    const text = within ? `${within} ${message}` : message.replace(/^is /, '');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export function clearFieldErrors(form) {
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    form.querySelectorAll('[aria-invalid]').forEach(el => {
+        el.removeAttribute('aria-invalid');
+        el.removeAttribute('aria-describedby');
+    });
+}
+
+/**
+ * Show schema problems (see validate() in schema.js) under the fields
+ * they're about, in place of any shown before. Problems with no field
+ * on the form are listed at the end of it.
+ * @param {HTMLFormElement} form
+ * @param {Object[]} errors - [{ field, path, message }]
+ * @param {Object} fields - Input id for each document field, e.g. { name: 'addDesc' }
+ * @returns {boolean} Whether there were no problems
+ */
+export function showFieldErrors(form, errors, fields = {}) {
+    clearFieldErrors(form);
+    const unplaced = [];
+    errors.forEach(error => {
+        const input = fields[error.field] && document.getElementById(fields[error.field]);
+        if (!input) {
+            unplaced.push(error.path ? `${error.path} ${error.message}` : error.message);
+            return;
+        }
+        let note = document.getElementById(`${input.id}-error`);
+        if (!note) {
+            note = document.createElement('small');
+            note.className = 'field-error';
+            note.id = `${input.id}-error`;
+            input.insertAdjacentElement('afterend', note);
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', note.id);
+            input.addEventListener('input', () => {
+                note.remove();
+                input.removeAttribute('aria-invalid');
+                input.removeAttribute('aria-describedby');
+            }, { once: true });
+        }
+        note.textContent = note.textContent ? `${note.textContent}. ${fieldMessage(error)}` : fieldMessage(error);
+    });
+    if (unplaced.length) {
+        const note = document.createElement('small');
+        note.className = 'field-error';
+        note.setAttribute('role', 'alert');
+        note.textContent = unplaced.join('; ');
+        form.appendChild(note);
+    }
+    const first = form.querySelector('[aria-invalid="true"]');
+    if (first) first.focus();
+    return errors.length === 0;
+}
+
 /**
  * Search Functionality
  */
@@ -526,6 +587,16 @@ export function initUI() {
                     opacity: 0;
                 }
             }
+            .field-error {
+                display: block;
+                flex-basis: 100%;
+                margin-top: 0.25rem;
+                color: #e53e3e;
+                font-size: 0.85rem;
+            }
+            [aria-invalid="true"] {
+                border-color: #e53e3e !important;
+            }
         `;
         document.head.appendChild(style);
     }
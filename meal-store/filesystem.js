@@ -0,0 +1,78 @@
+/* Meal store that keeps one JSON file per meal in a local directory */
+const fs = require("fs").promises;
+const path = require("path");
+const { MEAL_FOLDERS, isMealKey, isMeal, checkVersion, serializeMeal, hashVersion, createQueue } = require("./index");
+
+function create({ MEALS_DIR }) {
+  const serially = createQueue();
+
+  function mealPath(type, slug) {
+    return path.join(MEALS_DIR, type, `${slug}.json`);
+  }
+
+  async function read(type, slug) {
+    if (!isMealKey(type, slug)) return null;
+    try {
+      const text = await fs.readFile(mealPath(type, slug), "utf8");
+      return { meal: JSON.parse(text), version: hashVersion(text) };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  // Files that can't be read are skipped rather than failing the whole list
+  async function list() {
+    const meals = [];
+    for (const type of Object.values(MEAL_FOLDERS)) {
+      let files;
+      try {
+        files = await fs.readdir(path.join(MEALS_DIR, type));
+      } catch (err) {
+        if (err.code === "ENOENT") continue;
+        throw err;
+      }
+      for (const file of files.filter(name => name.endsWith(".json"))) {
+        const slug = file.slice(0, -".json".length);
+        if (!isMealKey(type, slug)) continue;
+        try {
+          const found = await read(type, slug);
+          // Deleted since the folder was read
+          if (!found) continue;
+          if (isMeal(found.meal)) meals.push({ type, slug, ...found });
+          else console.warn(`Skipping ${type}/${file}: not a meal`);
+        } catch (err) {
+          console.warn(`Skipping ${type}/${file}:`, err.message);
+        }
+      }
+    }
+    return meals;
+  }
+
+  function write(type, slug, meal, { expected } = {}) {
+    return serially(async () => {
+      if (!isMealKey(type, slug)) throw new Error(`Not a meal: ${type}/${slug}`);
+      const current = await read(type, slug);
+      checkVersion(current, expected);
+      const file = mealPath(type, slug);
+      const text = serializeMeal(meal);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, text);
+      return { created: !current, version: hashVersion(text), file };
+    });
+  }
+
+  function remove(type, slug, { expected } = {}) {
+    return serially(async () => {
+      const current = await read(type, slug);
+      checkVersion(current, expected);
+      if (!current) return false;
+      await fs.unlink(mealPath(type, slug));
+      return true;
+    });
+  }
+
+  return { list, read, write, remove, mealPath };
+}
+
+module.exports = { create };
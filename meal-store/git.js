@@ -0,0 +1,67 @@
+/*
+ * Meal store that keeps files like the filesystem store and commits each
+ * change to the git working copy they're in, so the library has a history
+ * without needing a network connection.
+ */
+const path = require("path");
+const { execFile } = require("child_process");
+const filesystem = require("./filesystem");
+const { createQueue } = require("./index");
+
+// Used when the working copy has no identity of its own to commit as
+const DEFAULT_AUTHOR = ["-c", "user.name=Home Management Hub", "-c", "user.email=hub@localhost"];
+
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile("git", args, { cwd }, (err, stdout, stderr) => {
+      if (err) reject(new Error(`git ${args.find(arg => !arg.startsWith("-")) || ""} failed: ${(stderr || err.message).trim()}`));
+      else resolve(stdout.trim());
+    });
+  });
+}
+
+function create(config) {
+  const files = filesystem.create(config);
+  const cwd = config.MEALS_DIR;
+
+  // One change at a time, or git commands trip over each other's index lock
+  const serially = createQueue();
+
+  let identity = null;
+  async function authorArgs() {
+    if (identity === null) {
+      const email = await git(cwd, ["config", "user.email"]).catch(() => "");
+      identity = email ? [] : DEFAULT_AUTHOR;
+    }
+    return identity;
+  }
+
+  // Commit just this file, leaving anything else in the working copy alone
+  async function commit(file, message) {
+    const relative = path.relative(cwd, file);
+    await git(cwd, ["add", "-A", "--", relative]);
+    const changed = await git(cwd, ["status", "--porcelain", "--", relative]);
+    if (!changed) return;
+    await git(cwd, [...await authorArgs(), "commit", "-q", "-m", message, "--", relative]);
+  }
+
+  return {
+    list: files.list,
+    read: files.read,
+    write: (type, slug, meal, options = {}) => serially(async () => {
+      const result = await files.write(type, slug, meal, options);
+      await commit(result.file, options.note || `${result.created ? "Add" : "Update"} meal: ${meal.title}`);
+      return result;
+    }),
+    remove: (type, slug, options = {}) => serially(async () => {
+      const removed = await files.remove(type, slug, options);
+      if (removed) await commit(files.mealPath(type, slug), options.note || `Remove meal: ${type}/${slug}`);
+      return removed;
+    }),
+    // Fail at start-up, not on the first save, if there's no working copy
+    ready: () => git(cwd, ["rev-parse", "--is-inside-work-tree"])
+      .catch(() => { throw new Error(`MEAL_STORE=git needs ${cwd} to be inside a git working copy`); })
+  };
+}
+
+module.exports = { create };
@@ -0,0 +1,114 @@
+/* Meal store that keeps the files in a GitHub repository through the contents API */
+const fetch = require("node-fetch");
+const { MEAL_FOLDERS, MealConflictError, isMealKey, isMeal, checkVersion, serializeMeal } = require("./index");
+
+function create({
+  GITHUB_PAT,
+  GITHUB_OWNER = "graemewright2005-ux",
+  GITHUB_REPO = "Home-Management-Hub",
+  GITHUB_BRANCH = "main",
+  GITHUB_MEALS_PATH = "meals"
+}) {
+  if (!GITHUB_PAT) throw new Error("MEAL_STORE=github needs a GITHUB_PAT");
+
+  const base = `https://api.github.com/repos/${GITHUB_OWNER}/${GITHUB_REPO}/contents`;
+  const headers = {
+    "Authorization": `token ${GITHUB_PAT}`,
+    "Accept": "application/vnd.github.v3+json"
+  };
+
+  async function api(filePath, options = {}) {
+    const url = options.method ? `${base}/${filePath}` : `${base}/${filePath}?ref=${encodeURIComponent(GITHUB_BRANCH)}`;
+    const resp = await fetch(url, { ...options, headers });
+    if (resp.status === 404 && !options.method) return null;
+    const result = await resp.json();
+    if (!resp.ok) {
+      const err = new Error(`GitHub: ${result.message || resp.statusText}`);
+      err.status = resp.status;
+      throw err;
+    }
+    return result;
+  }
+
+  const mealPath = (type, slug) => `${GITHUB_MEALS_PATH}/${type}/${slug}.json`;
+
+  // The blob sha is the version; GitHub needs it to change or delete a file
+  async function read(type, slug) {
+    if (!isMealKey(type, slug)) return null;
+    const file = await api(mealPath(type, slug));
+    if (!file) return null;
+    return { meal: JSON.parse(Buffer.from(file.content, "base64").toString("utf8")), version: file.sha };
+  }
+
+  async function list() {
+    const meals = [];
+    for (const type of Object.values(MEAL_FOLDERS)) {
+      const entries = (await api(`${GITHUB_MEALS_PATH}/${type}`)) || [];
+      for (const entry of entries.filter(e => e.type === "file" && e.name.endsWith(".json"))) {
+        const slug = entry.name.slice(0, -".json".length);
+        if (!isMealKey(type, slug)) continue;
+        try {
+          const found = await read(type, slug);
+          // Deleted since the folder was read
+          if (!found) continue;
+          if (isMeal(found.meal)) meals.push({ type, slug, ...found });
+          else console.warn(`Skipping ${type}/${entry.name}: not a meal`);
+        } catch (err) {
+          console.warn(`Skipping ${type}/${entry.name}:`, err.message);
+        }
+      }
+    }
+    return meals;
+  }
+
+  /**
+   * Run a change against the version just read. If the file changes on
+   * GitHub between reading and writing, GitHub refuses the stale sha and
+   * that's a conflict too.
+   */
+  async function change(type, slug, expected, job) {
+    const current = await read(type, slug);
+    checkVersion(current, expected);
+    try {
+      return await job(current);
+    } catch (err) {
+      if (err.status === 409 || err.status === 422) throw new MealConflictError(await read(type, slug));
+      throw err;
+    }
+  }
+
+  function write(type, slug, meal, { note, expected } = {}) {
+    if (!isMealKey(type, slug)) return Promise.reject(new Error(`Not a meal: ${type}/${slug}`));
+    return change(type, slug, expected, async current => {
+      const result = await api(mealPath(type, slug), {
+        method: "PUT",
+        body: JSON.stringify({
+          message: note || `${current ? "Update" : "Add"} meal: ${meal.title}`,
+          content: Buffer.from(serializeMeal(meal)).toString("base64"),
+          branch: GITHUB_BRANCH,
+          ...(current ? { sha: current.version } : {})
+        })
+      });
+      return { created: !current, version: result.content.sha, url: result.content.html_url };
+    });
+  }
+
+  function remove(type, slug, { note, expected } = {}) {
+    return change(type, slug, expected, async current => {
+      if (!current) return false;
+      await api(mealPath(type, slug), {
+        method: "DELETE",
+        body: JSON.stringify({
+          message: note || `Remove meal: ${current.meal.title || `${type}/${slug}`}`,
+          sha: current.version,
+          branch: GITHUB_BRANCH
+        })
+      });
+      return true;
+    });
+  }
+
+  return { list, read, write, remove };
+}
+
+module.exports = { create };
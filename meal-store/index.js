@@ -0,0 +1,132 @@
+/*
+ * Meal stores: where the shared recipe library is kept.
+ *
+ * Every store has the same async methods:
+ *   list()                             -> [{ type, slug, meal, version }]
+ *   read(type, slug)                   -> { meal, version }, or null if there isn't one
+ *   write(type, slug, meal, options)   -> { created, version, url? }
+ *   remove(type, slug, options)        -> true, or false if there wasn't one
+ * type is the folder (breakfast, lunch, dinner, snacks). version changes
+ * whenever the meal does (a content hash, or GitHub's blob sha).
+ *
+ * options:
+ *   note: a short description of the change, used as the commit message
+ *     by stores that keep history
+ *   expected: the version the change was based on. A string must match
+ *     the current version, null means the meal mustn't exist yet, and
+ *     leaving it out skips the check. When it doesn't hold, the store
+ *     throws a MealConflictError carrying the current meal.
+ */
+const path = require("path");
+const crypto = require("crypto");
+
+// Meal types and the folder each is kept in
+const MEAL_FOLDERS = { breakfast: "breakfast", lunch: "lunch", dinner: "dinner", snack: "snacks" };
+const SLUG_PATTERN = /^[A-Za-z0-9][\w-]*$/;
+
+function slugify(text) {
+  return text.toLowerCase()
+    .replace(/[^\w]+/g, '-')
+    .replace(/(^-+|-+$)/g, '');
+}
+
+/**
+ * Whether a folder and slug name a meal a store may hold. Stores check
+ * this before touching anything so a request can't reach other files.
+ */
+function isMealKey(type, slug) {
+  return Object.values(MEAL_FOLDERS).includes(type) && SLUG_PATTERN.test(slug);
+}
+
+// Whether a file's JSON is a meal's object, not null, a list or a number
+function isMeal(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * A change was based on an out-of-date version of a meal
+ * @property {Object|null} current - { meal, version } as it is now, or null if it's gone
+ */
+class MealConflictError extends Error {
+  constructor(current, message) {
+    super(message || (current ? "This meal has been changed since you loaded it" : "This meal has been removed since you loaded it"));
+    this.name = "MealConflictError";
+    this.current = current;
+  }
+}
+
+/**
+ * Throw a MealConflictError unless the current version is what the
+ * change expected
+ */
+function checkVersion(current, expected) {
+  if (expected === undefined) return;
+  if (expected === null && current) throw new MealConflictError(current, "There's already a meal with this name");
+  if (expected !== null && (!current || current.version !== expected)) throw new MealConflictError(current);
+}
+
+/**
+ * A meal file's contents. Every store writes the same layout as the files
+ * already under meals/, so a change through any of them only shows what
+ * changed.
+ */
+function serializeMeal(meal) {
+  return JSON.stringify(meal, null, 4) + "\n";
+}
+
+// Version of a meal file's contents
+function hashVersion(text) {
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+/**
+ * Run jobs one after another, so checking a version and writing can't be
+ * split by another request doing the same
+ */
+function createQueue() {
+  let queue = Promise.resolve();
+  return job => {
+    const run = queue.then(job);
+    queue = run.catch(() => {});
+    return run;
+  };
+}
+
+const STORES = {
+  filesystem: () => require("./filesystem"),
+  git: () => require("./git"),
+  github: () => require("./github")
+};
+
+/**
+ * The store picked by configuration
+ * @param {Object} env - Usually process.env
+ *   MEAL_STORE: filesystem (default), git or github
+ *   MEALS_DIR: where filesystem and git keep the files (default ./meals)
+ *   GITHUB_PAT, GITHUB_OWNER, GITHUB_REPO, GITHUB_BRANCH, GITHUB_MEALS_PATH: for github
+ */
+function createMealStore(env = process.env) {
+  const kind = (env.MEAL_STORE || "filesystem").toLowerCase();
+  if (!STORES[kind]) {
+    throw new Error(`Unknown MEAL_STORE "${env.MEAL_STORE}"; use ${Object.keys(STORES).join(", ")}`);
+  }
+  const store = STORES[kind]().create({
+    ...env,
+    MEALS_DIR: env.MEALS_DIR || path.join(__dirname, "..", "meals")
+  });
+  store.kind = kind;
+  return store;
+}
+
+module.exports = {
+  MEAL_FOLDERS,
+  MealConflictError,
+  slugify,
+  isMealKey,
+  isMeal,
+  checkVersion,
+  serializeMeal,
+  hashVersion,
+  createQueue,
+  createMealStore
+};
@@ -0,0 +1,421 @@
+/*
+ * Recipe import: reads a recipe page from another site for its schema.org
+ * Recipe markup, either JSON-LD (<script type="application/ld+json">) or
+ * microdata (itemscope/itemprop attributes), and turns it into the fields
+ * of the add-recipe form. Most recipe sites publish one or the other for
+ * search engines.
+ */
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const fetch = require("node-fetch");
+const { Parser } = require("htmlparser2");
+
+const FETCH_TIMEOUT = 15000;
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+// Addresses a page may not be fetched from: this machine, the local
+// network and anything else that isn't the public internet, so the
+// server can't be used to reach what only it can see
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, "ipv4"));
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges as well
+[
+  ["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["fec0::", 10], ["ff00::", 8]
+].forEach(([prefix, bits]) => PRIVATE_RANGES.addSubnet(prefix, bits, "ipv6"));
+
+// Elements that start a new line in the text of a step or ingredient list
+const BLOCK_TAGS = new Set(["br", "p", "li", "div", "tr", "h1", "h2", "h3", "h4", "h5", "h6"]);
+
+// Where microdata takes a property's value from, when not the element's text
+const VALUE_ATTRIBUTES = {
+  meta: "content",
+  img: "src", audio: "src", video: "src", source: "src", embed: "src", iframe: "src", track: "src",
+  a: "href", area: "href", link: "href",
+  object: "data",
+  data: "value", meter: "value",
+  time: "datetime"
+};
+
+const MEAL_TYPES = [
+  ["breakfast", /breakfast|brunch/i],
+  ["lunch", /lunch|salad|soup|sandwich/i],
+  ["dinner", /dinner|main|supper|entr[eé]e/i],
+  ["snack", /snack|dessert|appeti[sz]er|starter|treat|bak(e|ing)/i]
+];
+
+const DIETS = { VeganDiet: "vegan", VegetarianDiet: "vegetarian" };
+
+function importError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function list(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function typesOf(node) {
+  return list(node["@type"]).map(type => String(type).replace(/^.*[/#:]/, ""));
+}
+
+// Whitespace tidied, keeping line breaks, with blank lines dropped
+function tidyLines(text) {
+  return text
+    .split("\n")
+    .map(line => line.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+}
+
+/**
+ * Text from a snippet that may hold HTML (JSON-LD often does), with
+ * entities decoded and a line break wherever the markup had one
+ */
+function plainText(html) {
+  let text = "";
+  const parser = new Parser({
+    ontext: chunk => { text += chunk; },
+    onclosetag: name => { if (BLOCK_TAGS.has(name)) text += "\n"; }
+  });
+  parser.write(String(html));
+  parser.end();
+  return tidyLines(text);
+}
+
+/* ---------- Reading the page ---------- */
+
+/**
+ * Every JSON-LD block and top-level microdata item in a page
+ * @returns {{ jsonLd: string[], microdata: Object[] }} Microdata items as
+ *   { types, props: { name: [value or item] } }
+ */
+function scanPage(html) {
+  const jsonLd = [];
+  const microdata = [];
+  const open = [];
+  let script = null;
+
+  const nearestItem = () => {
+    for (let i = open.length - 1; i >= 0; i--) if (open[i].item) return open[i].item;
+    return null;
+  };
+
+  const parser = new Parser({
+    onopentag(name, attribs) {
+      const el = { name, attribs };
+      if ("itemscope" in attribs) el.item = { types: (attribs.itemtype || "").split(/\s+/).filter(Boolean), props: {} };
+      if (attribs.itemprop) {
+        el.props = attribs.itemprop.split(/\s+/).filter(Boolean);
+        if (!el.item) {
+          const attribute = "content" in attribs ? "content" : VALUE_ATTRIBUTES[name];
+          if (attribute && attribs[attribute] !== undefined) el.value = attribs[attribute];
+          else el.text = [];
+        }
+      } else if (el.item) {
+        microdata.push(el.item);
+      }
+      if (name === "script" && /ld\+json/i.test(attribs.type || "")) script = [];
+      el.skip = name === "script" || name === "style";
+      open.push(el);
+    },
+    ontext(text) {
+      if (script) script.push(text);
+      if (open.some(el => el.skip)) return;
+      open.forEach(el => { if (el.text) el.text.push(text); });
+    },
+    onclosetag(name) {
+      const el = open.pop();
+      if (!el) return;
+      if (BLOCK_TAGS.has(name)) open.forEach(parent => { if (parent.text) parent.text.push("\n"); });
+      if (script && name === "script") {
+        jsonLd.push(script.join(""));
+        script = null;
+      }
+      if (el.props) {
+        const parent = nearestItem();
+        const value = el.item || (el.text ? tidyLines(el.text.join("")) : el.value);
+        if (parent) el.props.forEach(prop => (parent.props[prop] = parent.props[prop] || []).push(value));
+        else if (el.item) microdata.push(el.item);
+      }
+    }
+  }, { decodeEntities: true });
+  parser.write(html);
+  parser.end();
+  return { jsonLd, microdata };
+}
+
+function parseJsonLd(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    // Raw newlines and tabs inside strings are a common slip
+    try {
+      return JSON.parse(text.replace(/[\u0000-\u001f]+/g, " "));
+    } catch (err2) {
+      return null;
+    }
+  }
+}
+
+// Recipes anywhere in a JSON-LD document: at the top, in an array or @graph, or as a page's mainEntity
+function findRecipeNodes(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => findRecipeNodes(child, found));
+  } else if (node && typeof node === "object") {
+    if (typesOf(node).includes("Recipe")) found.push(node);
+    else Object.values(node).forEach(child => findRecipeNodes(child, found));
+  }
+  return found;
+}
+
+// A microdata item in the same shape as JSON-LD, so both are read the same way
+function itemToNode(item) {
+  const node = { "@type": item.types };
+  Object.entries(item.props).forEach(([prop, values]) => {
+    const converted = values.map(value => (value && typeof value === "object" ? itemToNode(value) : value));
+    node[prop] = converted.length === 1 ? converted[0] : converted;
+  });
+  return node;
+}
+
+/* ---------- Turning markup into form fields ---------- */
+
+/**
+ * Minutes in an ISO 8601 duration ("PT1H30M") or a plain one ("1 hr 30 mins")
+ * @returns {number|null}
+ */
+function parseDuration(value) {
+  const text = String(list(value)[0] || "").trim();
+  const iso = text.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  let minutes = null;
+  if (iso && text.length > 1) {
+    const [, days = 0, hours = 0, mins = 0, secs = 0] = iso;
+    minutes = days * 1440 + hours * 60 + Number(mins) + secs / 60;
+  } else {
+    const hours = text.match(/(\d+(?:\.\d+)?)\s*h/i);
+    const mins = text.match(/(\d+)\s*m/i);
+    if (hours || mins) minutes = (hours ? hours[1] * 60 : 0) + (mins ? Number(mins[1]) : 0);
+  }
+  return minutes === null ? null : Math.round(minutes);
+}
+
+// "Serves 4-6", ["4", "4 servings"] or 4: the first whole number
+function parseYield(value) {
+  for (const item of list(value)) {
+    const match = String(item).match(/\d+/);
+    if (match && Number(match[0]) > 0) return Number(match[0]);
+  }
+  return null;
+}
+
+function firstUrl(value, base) {
+  for (const item of list(value)) {
+    const url = typeof item === "object" && item ? item.url || item.contentUrl || item["@id"] : item;
+    if (typeof url !== "string" || !url.trim()) continue;
+    try {
+      return new URL(url.trim(), base || undefined).href;
+    } catch (err) {
+      // A relative link with no page address to go on
+    }
+  }
+  return null;
+}
+
+// The recipe's own address when a pasted page has no other; only a web
+// page will do, as it ends up as a link in the library
+function webAddress(value) {
+  const url = firstUrl(value, null);
+  if (!url) return "";
+  return ["http:", "https:"].includes(new URL(url).protocol) ? url : "";
+}
+
+// Steps as numbered lines; a section's name goes on a line of its own
+function readInstructions(value) {
+  const lines = [];
+  let step = 0;
+  const visit = item => {
+    if (Array.isArray(item)) return item.forEach(visit);
+    if (item && typeof item === "object") {
+      const types = typesOf(item);
+      const steps = item.itemListElement || item.steps || item.step;
+      if (steps && (types.includes("HowToSection") || types.includes("ItemList") || !item.text)) {
+        if (item.name) lines.push(plainText(item.name));
+        return visit(steps);
+      }
+      return visit(item.text || item.name || "");
+    }
+    plainText(item || "").split("\n").forEach(line => {
+      const text = line.replace(/^(step\s*)?\d+[.):]\s*/i, "").trim();
+      if (text) lines.push(`${++step}. ${text}`);
+    });
+  };
+  visit(value);
+  return lines.join("\n");
+}
+
+function readMealType(node) {
+  const categories = list(node.recipeCategory).map(String).join(" ");
+  const match = MEAL_TYPES.find(([, pattern]) => pattern.test(categories));
+  return match ? match[0] : null;
+}
+
+/**
+ * The form fields a Recipe node gives, leaving out any it doesn't have
+ * @param {Object} node - JSON-LD Recipe, or a microdata one made to look like it
+ * @param {string} [pageUrl] - Where the page came from, for relative links
+ */
+function toRecipe(node, pageUrl) {
+  const ingredients = list(node.recipeIngredient || node.ingredients)
+    .flatMap(item => plainText(item).split("\n"))
+    .filter(Boolean);
+  const prep = parseDuration(node.prepTime);
+  const cook = parseDuration(node.cookTime);
+  const total = parseDuration(node.totalTime) || (prep || cook ? (prep || 0) + (cook || 0) : null);
+  const dietary = list(node.suitableForDiet)
+    .map(diet => DIETS[String(typeof diet === "object" && diet ? diet["@id"] || "" : diet).replace(/^.*[/#:]/, "")])
+    .filter(Boolean);
+  const recipe = {
+    title: plainText(list(node.name || node.headline)[0] || "").replace(/\n/g, " "),
+    type: readMealType(node),
+    dietary: [...new Set(dietary)],
+    ingredients,
+    instructions: readInstructions(node.recipeInstructions),
+    servings: parseYield(node.recipeYield),
+    time: total,
+    times: { prep, cook, total },
+    image: firstUrl(node.image || node.thumbnailUrl, pageUrl),
+    url: pageUrl || webAddress(node.url || node.mainEntityOfPage)
+  };
+  return Object.fromEntries(Object.entries(recipe).filter(([, value]) =>
+    value !== null && value !== "" && !(Array.isArray(value) && value.length === 0)));
+}
+
+/**
+ * Find the recipe in a page's HTML
+ * @returns {{ recipe: Object, source: "json-ld"|"microdata" }|null}
+ */
+function extractRecipe(html, pageUrl) {
+  const { jsonLd, microdata } = scanPage(html);
+  const fromJsonLd = findRecipeNodes(jsonLd.map(parseJsonLd));
+  if (fromJsonLd.length) return { recipe: toRecipe(fromJsonLd[0], pageUrl), source: "json-ld" };
+  const fromMicrodata = findRecipeNodes(microdata.map(itemToNode));
+  if (fromMicrodata.length) return { recipe: toRecipe(fromMicrodata[0], pageUrl), source: "microdata" };
+  return null;
+}
+
+/* ---------- Fetching the page ---------- */
+
+function isPrivateAddress(address) {
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function privateAddressError() {
+  const err = importError("Pages on this machine or the local network can't be imported", 400);
+  // Kept by node-fetch when the error comes from a lookup
+  err.code = "EPRIVATEADDRESS";
+  return err;
+}
+
+function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw importError("That isn't a web address", 400);
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) throw importError("Only http and https pages can be imported", 400);
+  // Addresses given as numbers are never looked up, so they're checked here
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isPrivateAddress(host)) throw privateAddressError();
+  return parsed.href;
+}
+
+/**
+ * dns.lookup, refusing names that resolve to a private address. The
+ * agents below connect to the address checked here, so a name can't
+ * resolve to somewhere public for a check and somewhere private after.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateAddressError());
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  "http:": new http.Agent({ lookup: publicLookup }),
+  "https:": new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Fetch a page from the public internet, following a few redirects,
+ * each checked the same way as the address asked for
+ */
+async function fetchPage(url) {
+  let resp;
+  for (let redirects = 0; ; redirects++) {
+    try {
+      resp = await fetch(url, {
+        headers: { "User-Agent": "Mozilla/5.0 (compatible; HomeHub recipe import)", "Accept": "text/html,application/xhtml+xml" },
+        timeout: FETCH_TIMEOUT,
+        size: MAX_PAGE_SIZE,
+        redirect: "manual",
+        agent: parsed => agents[parsed.protocol]
+      });
+    } catch (err) {
+      if (err.code === "EPRIVATEADDRESS") throw privateAddressError();
+      throw importError(`Couldn't reach that page: ${err.message}`, 502);
+    }
+    const location = resp.status >= 300 && resp.status < 400 && resp.headers.get("location");
+    if (!location) break;
+    if (redirects === MAX_REDIRECTS) throw importError("That page redirects too many times", 502);
+    url = checkUrl(new URL(location, url).href);
+  }
+  if (!resp.ok) throw importError(`That page couldn't be loaded (${resp.status})`, 502);
+  const type = resp.headers.get("content-type") || "";
+  if (type && !/html|xml/i.test(type)) throw importError("That link isn't a web page", 422);
+  const length = Number(resp.headers.get("content-length"));
+  if (length > MAX_PAGE_SIZE) throw importError("That page is too big to import", 422);
+  try {
+    return { html: await resp.text(), url };
+  } catch (err) {
+    if (err.type === "max-size") throw importError("That page is too big to import", 422);
+    throw importError(`Couldn't read that page: ${err.message}`, 502);
+  }
+}
+
+/**
+ * Read a recipe from a page, fetched by its address or as HTML already
+ * to hand (saved or pasted, e.g. when this server can't reach the site)
+ * @param {Object} source - { url } to fetch, or { html, url? }
+ * @returns {Promise<{ recipe: Object, source: string }>} recipe has title,
+ *   type, dietary, ingredients, instructions, servings, time, times
+ *   ({ prep, cook, total } in minutes), image and url, for those the page gives
+ * @throws Error with status 400 (bad request), 422 (no recipe) or 502 (fetch failed)
+ */
+async function importRecipe({ url, html } = {}) {
+  if (typeof html === "string" && html.trim()) {
+    const found = extractRecipe(html, url ? checkUrl(url) : null);
+    if (!found) throw importError("There's no recipe markup in that page", 422);
+    return found;
+  }
+  if (!url) throw importError("Send the page's url, or its html", 400);
+  const page = await fetchPage(checkUrl(url));
+  const found = extractRecipe(page.html, page.url);
+  if (!found) throw importError("That page doesn't have recipe markup the app can read; try copying the recipe in by hand", 422);
+  return found;
+}
+
+module.exports = { importRecipe, extractRecipe, parseDuration };
@@ -1,52 +1,202 @@
-console.log("GITHUB_PAT present:", !!process.env.GITHUB_PAT);
 process.on('uncaughtException', function (err) { console.error('Uncaught:', err); });
 process.on('unhandledRejection', function (reason, p) { console.error('Unhandled Rejection:', reason); });
+const path = require("path");
 const express = require("express");
 const bodyParser = require("body-parser");
-const fetch = require("node-fetch");
+const { MEAL_FOLDERS, MealConflictError, slugify, isMealKey, createMealStore } = require("./meal-store");
+const { importRecipe } = require("./recipe-import");
 const app = express();
 
-app.use(bodyParser.json());
+// Recipes can carry a photo as a data URL
+app.use(bodyParser.json({ limit: "5mb" }));
 
-const GITHUB_USER = 'graemewright2005-ux';
-const GITHUB_REPO = 'Home-Management-Hub';
-const GITHUB_BRANCH = 'main';
-const GITHUB_PAT = process.env.GITHUB_PAT;
+// Where the shared recipe library lives: see meal-store/ and MEAL_STORE
+let store;
+try {
+  store = createMealStore(process.env);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+// The meal schema and normaliser are shared with the pages (js/schema.js,
+// an ES module), so they're loaded at start-up before the server listens
+let schema;
+
+/**
+ * A meal as sent, in the canonical shape: older clients still send the
+ * diet/photo names library files used to have
+ */
+function canonicalMeal(meal) {
+  return schema.toCanonicalMeal(meal);
+}
+
+/**
+ * Check a meal before it's saved
+ * @returns {Object[]} What's wrong with it, as [{ field, path, message }]; empty if it's fine
+ */
+function validateMeal(meal, folder) {
+  const errors = schema.validate(schema.MEAL_SCHEMA, meal);
+  if (errors.length) return errors;
+  if (folder && MEAL_FOLDERS[meal.type] !== folder) {
+    errors.push({ field: "type", path: "type", message: `is ${meal.type}, which belongs in ${MEAL_FOLDERS[meal.type]}, not ${folder}` });
+  }
+  // The title names the meal's file, e.g. "_a" would make one the stores won't write
+  if (!isMealKey(MEAL_FOLDERS[meal.type], slugify(meal.title))) {
+    errors.push({ field: "title", path: "title", message: `doesn't make a usable file name ("${slugify(meal.title)}"); start it with a letter or number` });
+  }
+  return errors;
+}
+
+// The app itself, so the pages and the API share an origin
+["css", "data", "icons", "js", "pages"].forEach(dir => app.use(`/${dir}`, express.static(path.join(__dirname, dir))));
+["index.html", "sw.js", "manifest.webmanifest"].forEach(file => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
+app.get("/", (req, res) => res.sendFile(path.join(__dirname, "index.html")));
+
+/*
+ * Meals are versioned. GET sends the version as an ETag; changing or
+ * removing a meal needs it back in If-Match, and creating one sends
+ * If-None-Match: * so it can't overwrite a meal someone else just made.
+ * A stale version gets 409 with the meal as it is now.
+ */
+
+function etag(version) {
+  return `"${version}"`;
+}
 
-function slugify(text) {
-  return text.toLowerCase()
-    .replace(/[^\w]+/g, '-')
-    .replace(/(^-+|-+$)/g, '') + ".json";
+/**
+ * The version a request's change is based on: a string from If-Match,
+ * null for If-None-Match: * (must be new), or undefined if neither was sent
+ */
+function expectedVersion(req) {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch) return ifMatch.replace(/^W\//, "").replace(/^"|"$/g, "");
+  if (req.get("If-None-Match") === "*") return null;
+  return undefined;
 }
 
+function sendMeal(res, status, type, slug, { meal, version }) {
+  res.set("ETag", etag(version)).status(status).json({ type, slug, meal: canonicalMeal(meal), version });
+}
+
+function sendError(res, err, type, slug) {
+  if (err instanceof MealConflictError) {
+    if (err.current) res.set("ETag", etag(err.current.version));
+    return res.status(409).json({
+      error: err.message,
+      current: err.current ? { type, slug, ...err.current, meal: canonicalMeal(err.current.meal) } : null
+    });
+  }
+  res.status(500).json({ error: err.message });
+}
+
+/**
+ * Insist on a version for changes to a meal that exists. Returns the
+ * version to check against, or sends 428 and returns undefined.
+ */
+async function requireVersion(req, res, type, slug) {
+  const expected = expectedVersion(req);
+  if (expected !== undefined) return expected;
+  const current = await store.read(type, slug);
+  if (!current) return null;
+  if (current.version) res.set("ETag", etag(current.version));
+  res.status(428).json({
+    error: "This meal already exists; send the version you changed in an If-Match header",
+    current: { type, slug, ...current, meal: canonicalMeal(current.meal) }
+  });
+  return undefined;
+}
+
+app.get("/api/meals", async (req, res) => {
+  try {
+    const meals = (await store.list()).map(entry => ({ ...entry, meal: canonicalMeal(entry.meal) }));
+    res.json(meals.sort((a, b) => String(a.meal.title).localeCompare(String(b.meal.title))));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/meals/:type/:slug", async (req, res) => {
+  const { type, slug } = req.params;
+  try {
+    const current = await store.read(type, slug);
+    if (!current) return res.status(404).json({ error: "Meal not found" });
+    sendMeal(res, 200, type, slug, current);
+  } catch (err) {
+    sendError(res, err, type, slug);
+  }
+});
+
+app.put("/api/meals/:type/:slug", async (req, res) => {
+  const { type, slug } = req.params;
+  try {
+    if (!isMealKey(type, slug)) return res.status(404).json({ error: "Meal not found" });
+    const meal = canonicalMeal(req.body);
+    const errors = validateMeal(meal, type);
+    if (errors.length) return res.status(400).json({ error: "Invalid meal", details: errors });
+
+    const expected = await requireVersion(req, res, type, slug);
+    if (expected === undefined) return;
+    const { created, version } = await store.write(type, slug, meal, { expected });
+    sendMeal(res, created ? 201 : 200, type, slug, { meal, version });
+  } catch (err) {
+    sendError(res, err, type, slug);
+  }
+});
+
+app.delete("/api/meals/:type/:slug", async (req, res) => {
+  const { type, slug } = req.params;
+  try {
+    const expected = await requireVersion(req, res, type, slug);
+    if (expected === undefined) return;
+    if (!(await store.remove(type, slug, { expected }))) return res.status(404).json({ error: "Meal not found" });
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, type, slug);
+  }
+});
+
+// Older clients save a new meal by its title; it goes wherever the title's
+// slug puts it, and a meal already there is a conflict, not overwritten
 app.post("/api/save-meal", async (req, res) => {
   console.log("POST /api/save-meal invoked");
+  const meal = canonicalMeal(req.body);
+  const errors = validateMeal(meal);
+  if (errors.length) return res.status(400).json({ error: "Invalid meal", details: errors });
+  const type = MEAL_FOLDERS[meal.type];
+  const slug = slugify(meal.title);
   try {
-    const meal = req.body;
-    const mealType = meal.type.toLowerCase();
-    const fileName = slugify(meal.title);
-    const filePath = `meals/${mealType}/${fileName}`;
-    const apiUrl = `https://api.github.com/repos/${GITHUB_USER}/${GITHUB_REPO}/contents/${filePath}`;
-    const mealContent = Buffer.from(JSON.stringify(meal, null, 2)).toString("base64");
-    const payload = {
-      message: `Add meal: ${meal.title}`,
-      content: mealContent,
-      branch: GITHUB_BRANCH
-    };
-    const resp = await fetch(apiUrl, {
-      method: "PUT",
-      headers: {
-        "Authorization": `token ${GITHUB_PAT}`,
-        "Accept": "application/vnd.github.v3+json"
-      },
-      body: JSON.stringify(payload)
-    });
-    const result = await resp.json();
-    if (resp.ok) res.json({ success: true, url: result.content.html_url });
-    else res.status(resp.status).json({ error: result.message });
+    const { version, url } = await store.write(type, slug, meal, { expected: null });
+    res.set("ETag", etag(version)).json({ success: true, type, slug, version, ...(url ? { url } : {}) });
+  } catch (err) {
+    sendError(res, err, type, slug);
+  }
+});
+
+// A recipe from another site's page, read from its schema.org Recipe markup
+// to fill in the add-recipe form. Send { url } to have the page fetched, or
+// { html, url } with a page saved or pasted in when the site can't be reached.
+app.post("/api/recipes/import", async (req, res) => {
+  try {
+    res.json(await importRecipe(req.body || {}));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.listen(process.env.PORT || 5000, () => console.log("API listening"));
+// Bodies body-parser can't take (not JSON, a bare null, too big) get a JSON
+// error like the rest of the API rather than Express's HTML page
+app.use((err, req, res, next) => {
+  if (!err.type || !err.status) return next(err);
+  const message = err.type === "entity.parse.failed" ? "The request body must be a JSON object" : err.message;
+  res.status(err.status).json({ error: message });
+});
+
+Promise.all([import("./js/schema.js").then(module => { schema = module; }), store.ready && store.ready()])
+  .then(() => app.listen(process.env.PORT || 5000, () => console.log(`API listening, meals kept in ${store.kind} store`)))
+  .catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,64 @@
+/*
+ * Stamps sw.js with a hash of everything it precaches, as CACHE_VERSION.
+ * Run `npm run stamp` before deploying (npm test fails while the stamp is
+ * out of date). Browsers only offer an installed app an update when
+ * sw.js itself changes, and the stamp is what changes it: any edit to a
+ * page, script, style, data file or icon gives a new hash.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const WORKER = path.join(__dirname, "sw.js");
+const VERSION_LINE = /^const CACHE_VERSION = '[^']*';$/m;
+
+/**
+ * The files listed in sw.js's PRECACHE, relative to this directory
+ */
+function precachedFiles(source) {
+  const list = source.match(/^const PRECACHE = \[([\s\S]*?)\]/m);
+  if (!list) throw new Error("sw.js has no PRECACHE list");
+  return [...list[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+}
+
+/**
+ * The stamp sw.js should have for the files as they are now
+ * @param {string} source - sw.js
+ * @returns {string} 12 hex digits
+ */
+function currentStamp(source) {
+  const hash = crypto.createHash("sha256");
+  precachedFiles(source).forEach(file => {
+    hash.update(`${file}\0`);
+    hash.update(fs.readFileSync(path.join(__dirname, file)));
+  });
+  return hash.digest("hex").slice(0, 12);
+}
+
+/**
+ * The stamp sw.js has
+ */
+function writtenStamp(source) {
+  const line = source.match(VERSION_LINE);
+  if (!line) throw new Error("sw.js has no CACHE_VERSION line");
+  return line[0].match(/'([^']*)'/)[1];
+}
+
+/**
+ * Write the current stamp into sw.js
+ * @returns {boolean} Whether it had to change
+ */
+function stampWorker() {
+  const source = fs.readFileSync(WORKER, "utf8");
+  const stamp = currentStamp(source);
+  if (writtenStamp(source) === stamp) return false;
+  fs.writeFileSync(WORKER, source.replace(VERSION_LINE, `const CACHE_VERSION = '${stamp}';`));
+  return true;
+}
+
+if (require.main === module) {
+  const changed = stampWorker();
+  console.log(changed ? "sw.js stamped with a new CACHE_VERSION" : "sw.js stamp is up to date");
+}
+
+module.exports = { WORKER, currentStamp, writtenStamp, stampWorker };
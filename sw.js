@@ -0,0 +1,182 @@
+/* ============================================
+   SW.JS - Service Worker
+   Keeps the app working offline and checks
+   reminders in the background
+   ============================================ */
+
+// A classic worker, not a module one, so it runs in every browser with
+// service workers; the reminder checks come in by importScripts
+importScripts('js/reminder-core.js');
+
+const { checkReminders, REMINDER_SYNC_TAG } = self.HubReminders;
+
+// A hash of everything in PRECACHE, written by `npm run stamp` (see
+// stamp-sw.js). Any change to the app changes it, and so changes this
+// file, which is what makes installed copies offer the update.
+const CACHE_VERSION = '3a01bf6de59b';
+const CACHE_NAME = `home-hub-${CACHE_VERSION}`;
+
+// How long to wait for the network before using the cached copy of a page
+// or script, so a poor connection doesn't leave the app hanging
+const NETWORK_TIMEOUT = 4000;
+
+// Everything the app needs to run with no network, relative to this file
+const PRECACHE = [
+    'index.html',
+    'manifest.webmanifest',
+    'pages/cleaning.html',
+    'pages/maintenance.html',
+    'pages/meals.html',
+    'pages/pantry.html',
+    'pages/planner.html',
+    'pages/settings.html',
+    'pages/shopping.html',
+    'pages/welcome.html',
+    'css/components.css',
+    'css/main.css',
+    'css/responsive.css',
+    'js/app.js',
+    'js/assets.js',
+    'js/budget.js',
+    'js/history.js',
+    'js/ical.js',
+    'js/ingredients.js',
+    'js/library.js',
+    'js/locale.js',
+    'js/maintenance.js',
+    'js/meals.js',
+    'js/members.js',
+    'js/notifications.js',
+    'js/onboarding.js',
+    'js/pantry.js',
+    'js/planner.js',
+    'js/pwa.js',
+    'js/recurrence.js',
+    'js/reminder-core.js',
+    'js/reminders.js',
+    'js/schema.js',
+    'js/shopping.js',
+    'js/storage.js',
+    'js/tasks.js',
+    'js/ui.js',
+    'data/default-tasks.json',
+    'data/maintenance-catalogue.json',
+    'data/sample-meals.json',
+    'icons/apple-touch-icon.png',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon.svg'
+].map(path => new URL(path, self.location).href);
+
+function showReminder(reminder) {
+    return self.registration.showNotification(reminder.title, {
+        body: reminder.body,
+        tag: reminder.tag,
+        icon: new URL('icons/icon-192.png', self.location).href,
+        data: { url: reminder.url }
+    });
+}
+
+// A new version waits until the page says to take over (see pwa.js), so
+// an open page never ends up with a mix of old and new files
+self.addEventListener('install', event => {
+    event.waitUntil(
+        // cache: 'reload' skips the HTTP cache so the new files really are new
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('home-hub-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Pages, scripts, styles and data files change from one deploy to the
+// next; icons and the like don't
+function isAppCode(request) {
+    return request.mode === 'navigate' || /\.(html|js|css|json)$/.test(new URL(request.url).pathname);
+}
+
+// Pages are matched without their query string
+function cacheKey(request) {
+    return request.mode === 'navigate' ? request.url.split('?')[0] : request;
+}
+
+function fromCache(request) {
+    return caches.match(cacheKey(request), { ignoreSearch: request.mode === 'navigate' });
+}
+
+function offline(request, error) {
+    // Offline and not an app page we know: fall back to the dashboard
+    if (request.mode === 'navigate') return caches.match(new URL('index.html', self.location).href);
+    throw error;
+}
+
+/**
+ * The network's copy, kept in the cache for next time; the cached copy if
+ * the network fails or is slow and there is one
+ */
+function networkFirst(event) {
+    const { request } = event;
+    const network = fetch(request);
+    // Copied before the page reads the response, and saved even if the cache answered first
+    event.waitUntil(network.then(response => {
+        if (!response.ok || response.type !== 'basic' || response.redirected) return;
+        const copy = response.clone();
+        return caches.open(CACHE_NAME).then(cache => cache.put(cacheKey(request), copy));
+    }).catch(() => {}));
+    const slow = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT))
+        .then(() => fromCache(request))
+        .then(cached => cached || network);
+    return Promise.race([network, slow])
+        .catch(error => fromCache(request).then(cached => cached || offline(request, error)));
+}
+
+function cacheFirst(request) {
+    return fromCache(request).then(cached => cached || fetch(request).catch(error => offline(request, error)));
+}
+
+// App code is network-first so a deploy shows up on the next load, with
+// the cache for when there's no connection. Anything else the app has
+// cached comes from there; the rest (e.g. the meals API) from the network.
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(isAppCode(request) ? networkFirst(event) : cacheFirst(request));
+});
+
+// Browsers with periodic background sync wake the worker up to check,
+// even with no Hub tab open
+self.addEventListener('periodicsync', event => {
+    if (event.tag === REMINDER_SYNC_TAG) {
+        event.waitUntil(checkReminders(showReminder));
+    }
+});
+
+// Pages ask for a check when the app is opened, and tell a waiting
+// update to take over when the user accepts it
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'check-reminders') {
+        event.waitUntil(checkReminders(showReminder));
+    }
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+// Open (or focus) the page the reminder is about
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || 'index.html', self.registration.scope).href;
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(w => w.url === url);
+            return open ? open.focus() : self.clients.openWindow(url);
+        })
+    );
+});
@@ -0,0 +1,15 @@
+import './browser.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addAsset, updateAsset, getAsset } from '../js/assets.js';
+
+test('only web pages are kept as manual links', () => {
+    const boiler = addAsset({ name: 'Boiler', manualUrl: ' https://example.com/boiler.pdf ' });
+    assert.equal(boiler.manualUrl, 'https://example.com/boiler.pdf');
+
+    const oven = addAsset({ name: 'Oven', manualUrl: 'javascript:alert(document.cookie)' });
+    assert.equal(oven.manualUrl, '');
+
+    updateAsset(boiler.id, { manualUrl: 'JavaScript:alert(1)' });
+    assert.equal(getAsset(boiler.id).manualUrl, '');
+});
@@ -0,0 +1,39 @@
+/*
+ * Just enough of a browser for the modules under js/ to load in Node:
+ * an in-memory localStorage and a page that's already loaded. Import
+ * this before any of them.
+ */
+
+const store = new Map();
+
+globalThis.localStorage = {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key),
+    clear: () => store.clear()
+};
+
+const element = () => ({ style: {}, remove() {}, appendChild() {}, addEventListener() {}, click() {} });
+
+globalThis.document = {
+    readyState: 'complete',
+    addEventListener() {},
+    querySelectorAll: () => [],
+    querySelector: () => null,
+    getElementById: () => null,
+    createElement: element,
+    head: element(),
+    body: element()
+};
+
+globalThis.window = { location: { pathname: '/index.html' }, addEventListener() {} };
+
+// Reads Blobs, which stand in for the files a user picks
+globalThis.FileReader = class FileReader {
+    readAsText(blob) {
+        blob.text().then(result => this.onload({ target: { result } }), () => this.onerror());
+    }
+};
+
+// Node 21 and later have their own navigator
+if (!globalThis.navigator) globalThis.navigator = {};
@@ -0,0 +1,11 @@
+import './browser.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateData } from '../js/storage.js';
+import { formatMonth } from '../js/budget.js';
+
+test('month labels follow the number format chosen in settings', () => {
+    updateData('settings', { currency: 'EUR', locale: 'de-DE' });
+    assert.equal(formatMonth('2024-10-01'), 'Okt. 2024');
+    assert.equal(formatMonth('2024-10-01', { locale: 'en-GB' }), 'Oct 2024');
+});
@@ -0,0 +1,90 @@
+import './browser.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTodayISO, addDays } from '../js/app.js';
+import { addTask } from '../js/tasks.js';
+import { getCalendarEvents, buildCalendar, parseCalendar, readCalendarFile, fromRRule } from '../js/ical.js';
+import { getNextDueDate, getOccurrences } from '../js/recurrence.js';
+
+test('a chore set for the morning exports at a clock time', () => {
+    const dueDate = addDays(getTodayISO(), 1);
+    addTask({ name: 'Hoover lounge', room: 'Lounge', frequency: 'weekly', dueDate, time: 'Morning' }, 'cleaning');
+
+    const ics = buildCalendar(getCalendarEvents({ categories: ['cleaning'] }));
+    const lines = ics.split('\r\n');
+    assert.ok(lines.includes(`DTSTART:${dueDate.replace(/-/g, '')}T090000`));
+    assert.ok(lines.includes(`DTEND:${dueDate.replace(/-/g, '')}T093000`));
+
+    const [event] = parseCalendar(ics).events;
+    assert.equal(event.summary, 'Hoover lounge');
+    assert.deepEqual(event.start, { date: dueDate, time: '09:00' });
+});
+
+test('a chore with a time that is not a clock time exports as all-day', () => {
+    const dueDate = addDays(getTodayISO(), 2);
+    addTask({ name: 'Windows', room: 'Kitchen', frequency: 'once', dueDate, time: 'Whenever' }, 'cleaning');
+
+    const ics = buildCalendar(getCalendarEvents({ categories: ['cleaning'] }));
+    assert.ok(ics.includes(`DTSTART;VALUE=DATE:${dueDate.replace(/-/g, '')}`));
+    const times = ics.split('\r\n').filter(line => /^DT(START|END)/.test(line));
+    times.forEach(line => assert.match(line, /^DT(START|END)(;VALUE=DATE:\d{8}|:\d{8}T\d{6})$/));
+});
+
+test('an imported series keeps its part of the day and the dates it leaves out', () => {
+    const today = getTodayISO();
+    const ics = (date) => date.replace(/-/g, '');
+    const text = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:bins@example.org',
+        `DTSTART:${ics(addDays(today, -20 * 365))}T143000`,
+        'RRULE:FREQ=DAILY',
+        `EXDATE:${ics(addDays(today, 1))}T143000,${ics(addDays(today, 3))}T143000`,
+        'SUMMARY:Put the bins out',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    const [task] = readCalendarFile(text).tasks;
+    assert.equal(task.dueDate, today);
+    assert.equal(task.time, 'Afternoon');
+    assert.match(task.notes, /At 14:30/);
+    assert.deepEqual(task.recurrence.skipDates, [addDays(today, 1), addDays(today, 3)]);
+    assert.equal(getNextDueDate(task.recurrence, today, today), addDays(today, 2));
+    assert.equal(getNextDueDate(task.recurrence, addDays(today, 2), addDays(today, 2)), addDays(today, 4));
+});
+
+test('a monthly series with no day given keeps to its first date\'s', () => {
+    const { rule, exact } = fromRRule('FREQ=MONTHLY', '2026-01-31');
+    assert.equal(rule.monthDay, 31);
+    assert.equal(exact, true);
+    assert.deepEqual(getOccurrences(rule, '2026-01-31', '2026-09-01', '2026-11-30'), ['2026-09-30', '2026-10-31', '2026-11-30']);
+});
+
+test('a series that ends imports as a one-off at its last date, or repeats with a note', () => {
+    const today = getTodayISO();
+    const ics = (date) => date.replace(/-/g, '');
+    const calendar = (start, rrule) => [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        `UID:${rrule}@example.org`,
+        `DTSTART;VALUE=DATE:${ics(start)}`,
+        `RRULE:${rrule}`,
+        'SUMMARY:Boiler visit',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    const [more] = readCalendarFile(calendar(today, `FREQ=WEEKLY;UNTIL=${ics(addDays(today, 10))}`)).tasks;
+    assert.equal(more.recurrence.unit, 'week');
+    assert.equal(more.exact, false);
+
+    const [lastUntil] = readCalendarFile(calendar(addDays(today, -7), `FREQ=WEEKLY;UNTIL=${ics(addDays(today, 3))}`)).tasks;
+    assert.equal(lastUntil.dueDate, today);
+    assert.equal(lastUntil.recurrence, null);
+    assert.equal(lastUntil.exact, true);
+
+    const [lastCount] = readCalendarFile(calendar(addDays(today, -14), 'FREQ=WEEKLY;COUNT=3')).tasks;
+    assert.equal(lastCount.dueDate, today);
+    assert.equal(lastCount.recurrence, null);
+});
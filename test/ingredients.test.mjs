@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIngredient, formatIngredient } from '../js/ingredients.js';
+
+const parsed = text => {
+    const { quantity, unit, item, preparation } = parseIngredient(text);
+    return { quantity, unit, item, preparation };
+};
+
+test('a comma between thousands is a thousands separator', () => {
+    assert.deepEqual(parsed('1,000g plain flour'), { quantity: 1000, unit: 'g', item: 'plain flour', preparation: '' });
+    assert.deepEqual(parsed('1,5 kg potatoes'), { quantity: 1.5, unit: 'kg', item: 'potatoes', preparation: '' });
+});
+
+test('the same amount in other units is left out of the item', () => {
+    assert.deepEqual(parsed('150g/5oz flour'), { quantity: 150, unit: 'g', item: 'flour', preparation: '' });
+    assert.deepEqual(parsed('150g / 5 oz plain flour, sifted'), { quantity: 150, unit: 'g', item: 'plain flour', preparation: 'sifted' });
+    assert.deepEqual(parsed('1 cup (240ml) milk'), { quantity: 1, unit: 'cup', item: 'milk', preparation: '' });
+});
+
+test('tins of a given weight multiply out to the weight', () => {
+    assert.deepEqual(parsed('2 x 400g tins chopped tomatoes'), { quantity: 800, unit: 'g', item: 'chopped tomatoes', preparation: '' });
+    assert.deepEqual(parsed('400g tin of chickpeas, drained'), { quantity: 400, unit: 'g', item: 'chickpeas', preparation: 'drained' });
+    assert.deepEqual(parsed('2 tins chopped tomatoes'), { quantity: 2, unit: 'tin', item: 'chopped tomatoes', preparation: '' });
+});
+
+test('scaling things counted without a unit keeps the item plural right', () => {
+    assert.equal(formatIngredient(parseIngredient('1 lemon'), 2.5), '2½ lemons');
+    assert.equal(formatIngredient(parseIngredient('1 large onion, diced'), 2), '2 large onions, diced');
+    assert.equal(formatIngredient(parseIngredient('1 bag of spinach'), 2), '2 bags of spinach');
+    assert.equal(formatIngredient(parseIngredient('4 potatoes'), 0.25), '1 potato');
+    assert.equal(formatIngredient(parseIngredient('1 clove garlic'), 3), '3 cloves garlic');
+});
+
+test('"a" is one of something, but "a little" or "a few" is no set amount', () => {
+    assert.deepEqual(parsed('A little oil'), { quantity: null, unit: null, item: 'oil', preparation: '' });
+    assert.deepEqual(parsed('a few cherry tomatoes, halved'), { quantity: null, unit: null, item: 'cherry tomatoes', preparation: 'halved' });
+    assert.deepEqual(parsed('a few sprigs of thyme'), { quantity: null, unit: 'sprig', item: 'thyme', preparation: '' });
+    assert.deepEqual(parsed('a bit of parsley'), { quantity: null, unit: null, item: 'parsley', preparation: '' });
+    assert.equal(formatIngredient(parseIngredient('A little oil'), 2), 'A little oil');
+
+    assert.deepEqual(parsed('a pinch of salt'), { quantity: 1, unit: 'pinch', item: 'salt', preparation: '' });
+    assert.deepEqual(parsed('a handful of spinach'), { quantity: 1, unit: 'handful', item: 'spinach', preparation: '' });
+    assert.deepEqual(parsed('an onion, diced'), { quantity: 1, unit: null, item: 'onion', preparation: 'diced' });
+    assert.deepEqual(parsed('a 400g tin of tomatoes'), { quantity: 400, unit: 'g', item: 'tomatoes', preparation: '' });
+});
@@ -0,0 +1,16 @@
+import './browser.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchLibrary } from '../js/library.js';
+
+test('library files of the wrong shape still give meals the page can show', async () => {
+    globalThis.fetch = async () => new Response(JSON.stringify([
+        { type: 'dinner', slug: 'odd', version: 'v1', meal: { title: 42, type: 'dinner', dietary: 'vegan', ingredients: 'pasta', time: '20' } }
+    ]), { status: 200 });
+    const [meal] = await fetchLibrary();
+    assert.equal(meal.title, '42');
+    assert.deepEqual(meal.dietary, []);
+    assert.deepEqual(meal.ingredients, []);
+    assert.equal(meal.time, undefined);
+    assert.deepEqual(meal.library, { type: 'dinner', slug: 'odd', version: 'v1' });
+});
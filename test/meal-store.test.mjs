@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { MealConflictError, checkVersion } = require('../meal-store/index.js');
+const filesystem = require('../meal-store/filesystem.js');
+
+const meal = { title: 'Pasta bake', type: 'dinner', ingredients: ['500g pasta'] };
+
+function tempStore() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meals-'));
+    return { dir, store: filesystem.create({ MEALS_DIR: dir }) };
+}
+
+test('a version check passes when it holds and throws the current meal when not', () => {
+    const current = { meal, version: 'v1' };
+    assert.doesNotThrow(() => checkVersion(current, undefined));
+    assert.doesNotThrow(() => checkVersion(current, 'v1'));
+    assert.doesNotThrow(() => checkVersion(null, null));
+    assert.throws(() => checkVersion(current, 'v0'), err => err instanceof MealConflictError && err.current === current);
+    assert.throws(() => checkVersion(current, null), err => err instanceof MealConflictError && /already/.test(err.message));
+    assert.throws(() => checkVersion(null, 'v1'), err => err instanceof MealConflictError && err.current === null);
+});
+
+test('the filesystem store writes files like the ones in meals/ and versions them', async () => {
+    const { dir, store } = tempStore();
+    const first = await store.write('dinner', 'pasta-bake', meal, { expected: null });
+    assert.equal(first.created, true);
+    assert.equal(fs.readFileSync(path.join(dir, 'dinner', 'pasta-bake.json'), 'utf8'), JSON.stringify(meal, null, 4) + '\n');
+    assert.deepEqual(await store.read('dinner', 'pasta-bake'), { meal, version: first.version });
+
+    await assert.rejects(store.write('dinner', 'pasta-bake', meal, { expected: null }), MealConflictError);
+    const second = await store.write('dinner', 'pasta-bake', { ...meal, servings: 6 }, { expected: first.version });
+    assert.equal(second.created, false);
+    assert.notEqual(second.version, first.version);
+    await assert.rejects(store.write('dinner', 'pasta-bake', meal, { expected: first.version }), MealConflictError);
+
+    await assert.rejects(store.write('dinner', '../escape', meal), /Not a meal/);
+    fs.rmSync(dir, { recursive: true });
+});
+
+test('the filesystem store removes a meal only at the version expected', async () => {
+    const { dir, store } = tempStore();
+    const { version } = await store.write('dinner', 'pasta-bake', meal);
+    await assert.rejects(store.remove('dinner', 'pasta-bake', { expected: 'stale' }), MealConflictError);
+    assert.equal(await store.remove('dinner', 'pasta-bake', { expected: version }), true);
+    assert.equal(await store.read('dinner', 'pasta-bake'), null);
+    assert.equal(await store.remove('dinner', 'pasta-bake'), false);
+    fs.rmSync(dir, { recursive: true });
+});
@@ -0,0 +1,52 @@
+import './browser.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWeekStart } from '../js/app.js';
+import { addTask, toggleTaskComplete } from '../js/tasks.js';
+import { updateData } from '../js/storage.js';
+import { addMember, renameMember, getMembers, getAssignee, getFairRota, updateFairRotas } from '../js/members.js';
+
+const monday = getWeekStart();
+const fairChore = (name, effort) => addTask({
+    name, room: 'House', frequency: 'weekly', day: 'Monday', dueDate: monday, assignment: { mode: 'fair' }, effort
+}, 'cleaning');
+
+test('fair-share chores already done still count for whoever did them', () => {
+    const sam = addMember('Sam');
+    const alex = addMember('Alex');
+    const bins = fairChore('Bins', 3);
+    const dust = fairChore('Dust', 1);
+    assert.equal(getAssignee(bins).id, sam.id);
+    assert.equal(getAssignee(dust).id, alex.id);
+
+    toggleTaskComplete(bins.id, 'cleaning', { by: 'Sam', byId: sam.id });
+    assert.deepEqual(getFairRota(monday)[`${bins.id}|${monday}`], { memberId: sam.id, effort: 3 });
+
+    // Sam has done 3 this week to Alex's 1, so the next heavy chore is Alex's
+    const mop = fairChore('Mop', 3);
+    assert.equal(getAssignee(mop).id, alex.id);
+});
+
+test('a done chore stays credited to whoever did it after a rename', () => {
+    const [sam, alex] = getMembers();
+    const [bins] = JSON.parse(localStorage.getItem('homeManagementData')).cleaningTasks;
+    // Worked out afresh, with Sam now sharing Alex's name
+    updateData('choreRotas', {});
+    renameMember(sam.id, alex.name);
+    updateFairRotas();
+    assert.deepEqual(getFairRota(monday)[`${bins.id}|${monday}`], { memberId: sam.id, effort: 3 });
+});
+
+test('reading who a chore falls to saves nothing', () => {
+    const [task] = JSON.parse(localStorage.getItem('homeManagementData')).cleaningTasks;
+    const setItem = localStorage.setItem;
+    let writes = 0;
+    localStorage.setItem = (...args) => { writes++; return setItem(...args); };
+    try {
+        getAssignee(task, monday);
+        getAssignee(task, '2099-01-05');
+    } finally {
+        localStorage.setItem = setItem;
+    }
+    assert.equal(writes, 0);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Pages come from this stand-in for node-fetch, as there's no internet
+// here; each test says what it answers with
+let answer = () => { throw new Error('No page expected'); };
+const requested = [];
+require.cache[require.resolve('node-fetch')] = {
+    exports: async (url, options) => {
+        requested.push(url);
+        const { status = 200, headers = {}, body = '' } = answer(url, options);
+        return { status, ok: status < 300, headers: new Headers(headers), text: async () => body };
+    }
+};
+const { importRecipe } = require('../recipe-import.js');
+
+const page = url => `<html><head><script type="application/ld+json">${JSON.stringify({
+    '@context': 'https://schema.org', '@type': 'Recipe', name: 'Pasta bake', recipeIngredient: ['500g pasta'], url
+})}</script></head></html>`;
+
+test('a pasted page only gives the recipe a web address', async () => {
+    const pasted = async url => (await importRecipe({ html: page(url) })).recipe.url;
+    assert.equal(await pasted('https://example.com/pasta-bake'), 'https://example.com/pasta-bake');
+    assert.equal(await pasted('javascript:alert(1)'), undefined);
+    assert.equal(await pasted('data:text/html,alert(1)'), undefined);
+    assert.equal(await pasted('/pasta-bake'), undefined);
+});
+
+test('pages on this machine or the local network are never fetched', async () => {
+    requested.length = 0;
+    for (const url of ['http://127.0.0.1/', 'http://10.1.2.3:8080/recipe', 'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/', 'http://[fd00::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[::ffff:192.168.0.1]/']) {
+        await assert.rejects(importRecipe({ url }), err => err.status === 400 && /local network/.test(err.message), url);
+    }
+    assert.deepEqual(requested, []);
+});
+
+test('a redirect is checked like the address asked for', async () => {
+    requested.length = 0;
+    answer = () => ({ status: 302, headers: { location: 'http://127.0.0.1/admin' } });
+    await assert.rejects(importRecipe({ url: 'https://recipes.example/pasta' }), err => err.status === 400 && /local network/.test(err.message));
+    assert.deepEqual(requested, ['https://recipes.example/pasta']);
+
+    answer = url => ({ status: 301, headers: { location: `${url}x` } });
+    await assert.rejects(importRecipe({ url: 'https://recipes.example/loop' }), err => err.status === 502 && /redirects too many/.test(err.message));
+});
+
+test('a page over 5 MB is not read', async () => {
+    answer = () => ({ headers: { 'content-type': 'text/html', 'content-length': String(6 * 1024 * 1024) } });
+    await assert.rejects(importRecipe({ url: 'https://recipes.example/huge' }), err => err.status === 422 && /too big/.test(err.message));
+});
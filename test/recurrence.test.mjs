@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normaliseRule, getNextDueDate, getOccurrences } from '../js/recurrence.js';
+
+test('a daily series started long ago still has dates in the window', () => {
+    const rule = normaliseRule({ unit: 'day', interval: 1 });
+    assert.deepEqual(getOccurrences(rule, '2001-03-05', '2026-10-19', '2026-10-21'), ['2026-10-19', '2026-10-20', '2026-10-21']);
+});
+
+test('a fortnightly weekday series jumps to the right cycle week', () => {
+    const rule = normaliseRule({ unit: 'week', interval: 2, weekdays: [2, 4] });
+    assert.deepEqual(getOccurrences(rule, '2000-01-04', '2026-10-19', '2026-11-01'), ['2026-10-20', '2026-10-22']);
+    assert.equal(getNextDueDate(rule, '2000-01-04', '2026-10-22'), '2026-11-03');
+});
+
+test('skipped dates are stepped over', () => {
+    const rule = normaliseRule({ unit: 'week', interval: 1, skipDates: ['2026-10-27', 'nonsense'] });
+    assert.deepEqual(rule.skipDates, ['2026-10-27']);
+    assert.equal(getNextDueDate(rule, '2026-10-20', '2026-10-20'), '2026-11-03');
+    assert.deepEqual(getOccurrences(rule, '2026-10-20', '2026-10-20', '2026-11-10'), ['2026-10-20', '2026-11-03', '2026-11-10']);
+});
+
+test('a monthly series on the 31st goes back to the 31st after February', () => {
+    const rule = { unit: 'month', interval: 1 };
+    assert.deepEqual(getOccurrences(rule, '2026-01-31', '2026-01-01', '2026-04-30'), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+
+    const anchored = normaliseRule(rule, '2026-01-31');
+    assert.equal(anchored.monthDay, 31);
+    assert.equal(getNextDueDate(anchored, '2026-02-28', '2026-02-28'), '2026-03-31');
+});
+
+test('yearly and nth-weekday series step by calendar month', () => {
+    assert.deepEqual(getOccurrences({ unit: 'year', interval: 1 }, '2024-02-29', '2024-01-01', '2028-12-31'),
+        ['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+    assert.deepEqual(getOccurrences({ unit: 'month', interval: 1, nthWeekday: { nth: -1, weekday: 5 } }, '2026-10-30', '2026-10-01', '2026-12-31'),
+        ['2026-10-30', '2026-11-27', '2026-12-25']);
+});
+
+test('a monthly series counted from completion steps from the day it was done', () => {
+    const rule = { unit: 'month', interval: 1, basis: 'completion' };
+    assert.equal(normaliseRule(rule, '2026-01-31').monthDay, undefined);
+    assert.equal(getNextDueDate(rule, '2026-01-31', '2026-02-10'), '2026-03-10');
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, describeError, MEAL_SCHEMA, BACKUP_SCHEMA, toCanonicalMeal } from '../js/schema.js';
+
+const meal = { title: 'Pasta bake', type: 'dinner', ingredients: ['500g pasta'] };
+
+test('a meal photo is a web address or an uploaded image', () => {
+    assert.deepEqual(validate(MEAL_SCHEMA, { ...meal, image: 'https://example.com/pasta.jpg' }), []);
+    assert.deepEqual(validate(MEAL_SCHEMA, { ...meal, image: 'data:image/png;base64,iVBORw0KGgo=' }), []);
+    assert.deepEqual(validate(MEAL_SCHEMA, { ...meal, image: null }), []);
+    assert.deepEqual(validate(MEAL_SCHEMA, toCanonicalMeal({ ...meal, image: '' })), []);
+
+    ['x" onerror="alert(1)', 'javascript:alert(1)', 'data:text/html,<script>alert(1)</script>'].forEach(image => {
+        const errors = validate(MEAL_SCHEMA, { ...meal, image });
+        assert.equal(errors.length, 1, image);
+        assert.equal(errors[0].field, 'image');
+    });
+});
+
+test('a recipe link is a web address or blank', () => {
+    assert.deepEqual(validate(MEAL_SCHEMA, { ...meal, url: 'https://example.com/pasta-bake' }), []);
+    assert.deepEqual(validate(MEAL_SCHEMA, { ...meal, url: '' }), []);
+
+    ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'www.example.com'].forEach(url => {
+        assert.deepEqual(validate(MEAL_SCHEMA, { ...meal, url }).map(describeError),
+            ['url must be a web address (http:// or https://)'], url);
+    });
+});
+
+test('an asset manual in a backup is a web address or blank', () => {
+    const backup = manualUrl => ({
+        schemaVersion: 8, meals: [], mealPlan: {}, shoppingList: [], cleaningTasks: [], maintenanceTasks: [], settings: {},
+        assets: [{ id: 'a1', name: 'Boiler', manualUrl }]
+    });
+    assert.deepEqual(validate(BACKUP_SCHEMA, backup('https://example.com/boiler.pdf')), []);
+    assert.deepEqual(validate(BACKUP_SCHEMA, backup('')), []);
+    assert.deepEqual(validate(BACKUP_SCHEMA, backup('javascript:alert(1)')).map(describeError),
+        ['assets[0].manualUrl must be a web address (http:// or https://)']);
+});
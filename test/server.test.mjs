@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const meal = { title: 'Pasta bake', type: 'dinner', ingredients: ['500g pasta'] };
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meals-'));
+let server;
+let base;
+
+function freePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+before(async () => {
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}/api/meals`;
+    server = spawn(process.execPath, ['server.js'], {
+        cwd: fileURLToPath(new URL('..', import.meta.url)),
+        env: { ...process.env, PORT: String(port), MEALS_DIR: dir, MEAL_STORE: 'filesystem' },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    await new Promise((resolve, reject) => {
+        server.stdout.on('data', chunk => { if (String(chunk).includes('API listening')) resolve(); });
+        server.on('exit', code => reject(new Error(`server exited with ${code}`)));
+    });
+});
+
+after(() => {
+    server.kill();
+    fs.rmSync(dir, { recursive: true });
+});
+
+const put = (headers, body = meal) => fetch(`${base}/dinner/pasta-bake`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+test('meals are created with 201, changed with 200 and removed with 204', async () => {
+    const created = await put({ 'If-None-Match': '*' });
+    assert.equal(created.status, 201);
+    const etag = created.headers.get('ETag');
+
+    const changed = await put({ 'If-Match': etag }, { ...meal, servings: 6 });
+    assert.equal(changed.status, 200);
+    assert.equal((await changed.json()).meal.servings, 6);
+
+    const removed = await fetch(`${base}/dinner/pasta-bake`, { method: 'DELETE', headers: { 'If-Match': changed.headers.get('ETag') } });
+    assert.equal(removed.status, 204);
+    assert.equal((await fetch(`${base}/dinner/pasta-bake`)).status, 404);
+});
+
+test('a stale version gets 409 and a missing one 428, with the meal as it is', async () => {
+    const first = (await put({ 'If-None-Match': '*' })).headers.get('ETag');
+    const second = await put({ 'If-Match': first }, { ...meal, servings: 6 });
+
+    const stale = await put({ 'If-Match': first }, { ...meal, servings: 2 });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.headers.get('ETag'), second.headers.get('ETag'));
+    assert.equal((await stale.json()).current.meal.servings, 6);
+
+    assert.equal((await put({ 'If-None-Match': '*' })).status, 409);
+    const unversioned = await put({});
+    assert.equal(unversioned.status, 428);
+    assert.equal((await unversioned.json()).current.meal.servings, 6);
+
+    const staleDelete = await fetch(`${base}/dinner/pasta-bake`, { method: 'DELETE', headers: { 'If-Match': first } });
+    assert.equal(staleDelete.status, 409);
+    assert.equal((await fetch(`${base}/dinner/pasta-bake`, { method: 'DELETE' })).status, 428);
+});
@@ -0,0 +1,41 @@
+import './browser.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { updateData } from '../js/storage.js';
+import { generateFromMealPlan, getShoppingList, toggleItemChecked } from '../js/shopping.js';
+import { getPantryItems } from '../js/pantry.js';
+
+const WEEK = '2024-10-07';
+
+function planWeek(plan) {
+    updateData('meals', [{ id: 'm1', title: 'Pasta bake', type: 'dinner', servings: 4, ingredients: ['500g pasta', '2 onions'] }]);
+    updateData('mealPlan', plan);
+    updateData('householdItems', []);
+    updateData('shoppingList', []);
+    generateFromMealPlan(WEEK);
+}
+
+test('regenerating the week keeps what was already ticked off', () => {
+    planWeek({ [WEEK]: { Dinner: { mealId: 'm1' } } });
+    updateData('shoppingList', getShoppingList().map(item => (
+        item.name === 'pasta' ? { ...item, checked: true, price: 1.2 } : item
+    )));
+    generateFromMealPlan(WEEK);
+
+    const list = getShoppingList();
+    assert.deepEqual(list.map(item => [item.name, item.checked]), [['pasta', true], ['onions', false]]);
+    assert.equal(list[0].price, 1.2);
+});
+
+test('a line ticked into the pantry is only counted once', () => {
+    planWeek({ [WEEK]: { Dinner: { mealId: 'm1' } } });
+    toggleItemChecked(getShoppingList().find(item => item.name === 'pasta').id, { addToPantry: true });
+    assert.equal(getPantryItems().length, 1);
+
+    updateData('mealPlan', { [WEEK]: { Dinner: { mealId: 'm1' } }, '2024-10-08': { Dinner: { mealId: 'm1' } } });
+    generateFromMealPlan(WEEK);
+
+    const pasta = getShoppingList().filter(item => item.name === 'pasta');
+    assert.deepEqual(pasta.map(item => [item.checked, item.quantity, item.unit]), [[true, 500, 'g'], [false, 500, 'g']]);
+    assert.equal(pasta[1].stocked, true);
+});
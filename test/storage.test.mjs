@@ -0,0 +1,120 @@
+import './browser.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKUP_SCHEMA, validate, describeError } from '../js/schema.js';
+
+// What the pages saved before there was a single store
+localStorage.setItem('hmhMealsList', JSON.stringify([{ date: '2024-03-05', meal: 'Fish and chips' }]));
+localStorage.setItem('hubMeals', JSON.stringify([{ id: 'm1', title: 'Flapjacks', type: 'Snacks', ing: ['200g oats'], diet: ['vegetarian'] }]));
+localStorage.setItem('hubCleaningTasks', JSON.stringify([
+    { id: 'c1', desc: 'Hoover', room: 'Lounge', day: 'Monday', time: 'Morning', frequency: 'Weekly' },
+    { id: 'c2', desc: 'Descale kettle', room: 'Kitchen', frequency: 'Every so often' }
+]));
+localStorage.setItem('hubMaintenance', JSON.stringify([{ id: 'x1', title: 'Bleed radiators', frequency: 'Yearly', dueDate: '2024-10-01' }]));
+localStorage.setItem('hubCleaningEquipment', JSON.stringify(['Spray', 'Cloths']));
+localStorage.setItem('hmhShoppingList', JSON.stringify(['Milk']));
+
+const { loadData, importData, STORAGE_KEY } = await import('../js/storage.js');
+await import('../js/app.js');
+
+test('data migrated from the old pages matches the backup schema', () => {
+    const data = loadData();
+    assert.deepEqual(validate(BACKUP_SCHEMA, data).map(describeError), []);
+
+    const fish = data.meals.find(meal => meal.title === 'Fish and chips');
+    assert.equal(fish.type, 'dinner');
+    assert.equal(data.meals.find(meal => meal.id === 'm1').type, 'snack');
+
+    const hoover = data.cleaningTasks.find(task => task.id === 'c1');
+    assert.equal(hoover.frequency, 'weekly');
+    assert.equal(hoover.recurrence.unit, 'week');
+    assert.equal(data.cleaningTasks.find(task => task.id === 'c2').frequency, 'once');
+    assert.equal(data.maintenanceTasks[0].recurrence.unit, 'year');
+});
+
+test('an export of migrated data imports again unchanged', async () => {
+    const exported = { ...loadData(), exportDate: new Date().toISOString() };
+    localStorage.removeItem(STORAGE_KEY);
+
+    assert.equal(await importData(new Blob([JSON.stringify(exported)])), true);
+    assert.deepEqual(loadData(), exported);
+});
+
+test('a store saved before meal types and frequencies were tidied is tidied', async () => {
+    const { migrateData } = await import('../js/storage.js');
+    const data = migrateData({
+        ...loadData(),
+        schemaVersion: 5,
+        meals: [{ id: 'm2', title: 'Leftovers', type: '', ingredients: [] }],
+        cleaningTasks: [{ id: 'c3', name: 'Windows', frequency: 'Monthly', dueDate: '2024-01-15', recurrence: null }]
+    });
+    assert.equal(data.schemaVersion, 9);
+    assert.equal(data.meals[0].type, 'dinner');
+    assert.equal(data.cleaningTasks[0].frequency, 'monthly');
+    assert.deepEqual(data.cleaningTasks[0].recurrence, { unit: 'month', interval: 1, monthDay: 15, basis: 'due' });
+    assert.deepEqual(validate(BACKUP_SCHEMA, data).map(describeError), []);
+});
+
+test('completions logged by name get the id of the member with that name', async () => {
+    const { migrateData } = await import('../js/storage.js');
+    const data = migrateData({
+        ...loadData(),
+        schemaVersion: 6,
+        members: [{ id: 'p1', name: 'Sam' }, { id: 'p2', name: 'Jo' }, { id: 'p3', name: 'Jo' }],
+        taskHistory: [
+            { id: 'h1', taskId: 'c1', by: 'Sam' },
+            { id: 'h2', taskId: 'c1', by: 'Jo' },
+            { id: 'h3', taskId: 'c1', by: null }
+        ]
+    });
+    assert.deepEqual(data.taskHistory.map(entry => entry.byId), ['p1', null, null]);
+});
+
+test('asset manual links that are not web pages are dropped', async () => {
+    const { migrateData } = await import('../js/storage.js');
+    const data = migrateData({
+        ...loadData(),
+        schemaVersion: 7,
+        assets: [
+            { id: 'a1', name: 'Boiler', manualUrl: 'https://example.com/boiler.pdf' },
+            { id: 'a2', name: 'Oven', manualUrl: 'javascript:alert(1)' }
+        ]
+    });
+    assert.deepEqual(data.assets.map(asset => asset.manualUrl), ['https://example.com/boiler.pdf', '']);
+    assert.deepEqual(validate(BACKUP_SCHEMA, data).map(describeError), []);
+});
+
+test('recipe links that are not web pages are dropped', async () => {
+    const { migrateData } = await import('../js/storage.js');
+    const data = migrateData({
+        ...loadData(),
+        schemaVersion: 8,
+        meals: [
+            { id: 'm3', title: 'Pasta bake', type: 'dinner', ingredients: [], url: 'https://example.com/pasta-bake' },
+            { id: 'm4', title: 'Flapjacks', type: 'snack', ingredients: [], url: 'javascript:alert(1)' }
+        ]
+    });
+    assert.deepEqual(data.meals.map(meal => meal.url), ['https://example.com/pasta-bake', '']);
+    assert.deepEqual(validate(BACKUP_SCHEMA, data).map(describeError), []);
+});
+
+test('legacy keys written after the data moved on are still folded in and removed', async () => {
+    const { initStorage, loadData: load } = await import('../js/storage.js');
+    const before = load();
+    localStorage.setItem('hubMeals', JSON.stringify([
+        { id: 'm9', title: 'Shepherd\'s pie', type: 'Dinner', ing: ['500g mince'] },
+        { id: 'old-flapjacks', title: 'flapjacks', type: 'Snacks', ing: [] }
+    ]));
+    localStorage.setItem('hmhShoppingList', JSON.stringify(['Milk', 'Bread']));
+
+    const data = initStorage();
+    assert.equal(data.schemaVersion, before.schemaVersion);
+    assert.equal(data.meals.filter(meal => meal.title.toLowerCase() === 'flapjacks').length, 1);
+    assert.ok(data.meals.some(meal => meal.id === 'm9'));
+    assert.equal(data.shoppingList.filter(item => item.name.toLowerCase() === 'milk').length, 1);
+    assert.ok(data.shoppingList.some(item => item.name === 'Bread'));
+    assert.equal(localStorage.getItem('hubMeals'), null);
+    assert.equal(localStorage.getItem('hmhShoppingList'), null);
+    assert.deepEqual(load(), data);
+    assert.deepEqual(validate(BACKUP_SCHEMA, data).map(describeError), []);
+});
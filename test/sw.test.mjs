@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { WORKER, currentStamp, writtenStamp } = require('../stamp-sw.js');
+
+const source = fs.readFileSync(WORKER, 'utf8');
+
+test('sw.js is stamped for the files it caches (run npm run stamp)', () => {
+    assert.equal(writtenStamp(source), currentStamp(source));
+});
+
+test('sw.js runs as a classic worker', () => {
+    const events = [];
+    const worker = {
+        URL,
+        location: new URL('https://example.org/hub/sw.js'),
+        addEventListener: type => events.push(type),
+        importScripts: (...files) => files.forEach(file =>
+            vm.runInContext(fs.readFileSync(path.join(path.dirname(WORKER), file), 'utf8'), context, { filename: file }))
+    };
+    worker.self = worker;
+    worker.globalThis = worker;
+    const context = vm.createContext(worker);
+    vm.runInContext(source, context, { filename: 'sw.js' });
+    assert.equal(typeof worker.HubReminders.checkReminders, 'function');
+    assert.deepEqual(events.sort(), ['activate', 'fetch', 'install', 'message', 'notificationclick', 'periodicsync']);
+});